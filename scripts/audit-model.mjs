@@ -0,0 +1,585 @@
+/**
+ * Audit a GLB against the viewer's model conventions, without a browser
+ *
+ * Reads the glTF JSON and the image headers only (no geometry is decoded), so
+ * DRACO and meshopt models audit as quickly as plain ones. Reports the node
+ * hierarchy, mesh / material / texture counts, texture sizes, triangles and
+ * bounds, lists the meshes the scene's material rules would convert (glass...)
+ * and checks the model against a schema (scripts/model-schema.json):
+ *
+ *   npm run audit-model
+ *   npm run audit-model -- public/assets/vehicle_2.glb --scene vehicle_2
+ *   npm run audit-model -- --schema schemas/trailer.json --json > audit.json
+ *
+ * Without a file, the scene manifest's model.url is audited. Node names the
+ * manifest relies on (hotspots, configurator show / hide / materials) and
+ * animation clips must exist too. Names are the ones GLTFLoader gives the
+ * nodes (sanitized, `_1` suffixes for duplicates), matched like the
+ * configurator does (exact, or `*` wildcards). Exits 1 on any violation, or
+ * when the model or schema can't be read.
+ */
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import * as THREE from 'three';
+import { MANIFEST_DIR, validateSceneManifest, resolveMaterialRules } from '../src/viewer/sceneManifest.js';
+import { findMatchingRule, getNodePath } from '../src/viewer/materialRules.js';
+import { findNodes } from '../src/viewer/configurator.js';
+import { getVisibleBounds } from '../src/viewer/ground.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const SCHEMA_DEFAULTS = {
+  requiredNodes: [],
+  maxTriangles: null,
+  maxDrawCalls: null,
+  maxTextureSize: null,
+};
+
+// GLB chunk types
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+// Extensions that make GLTFLoader build a MeshPhysicalMaterial
+const PHYSICAL_EXTENSIONS = [
+  'KHR_materials_clearcoat', 'KHR_materials_transmission', 'KHR_materials_volume', 'KHR_materials_ior',
+  'KHR_materials_specular', 'KHR_materials_sheen', 'KHR_materials_iridescence', 'KHR_materials_anisotropy',
+];
+
+// Normalized integer positions (KHR_mesh_quantization) → float
+const NORMALIZED_SCALE = { 5120: 1 / 127, 5121: 1 / 255, 5122: 1 / 32767, 5123: 1 / 65535 };
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    scene: { type: 'string', default: 'default' },
+    schema: { type: 'string', default: join(root, 'scripts/model-schema.json') },
+    depth: { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+const depth = args.depth === undefined ? Infinity : Number(args.depth);
+if (!Number.isInteger(depth) && depth !== Infinity) {
+  fail(`--depth must be a whole number (got "${args.depth}")`);
+}
+
+let manifest;
+let schema;
+let gltf;
+try {
+  manifest = readManifest(args.scene);
+  schema = readSchema(args.schema);
+  const file = positionals[0] ? resolve(positionals[0]) : publicPath(manifest.model.url);
+  gltf = readGltf(file);
+} catch (error) {
+  fail(error.message);
+}
+
+const report = audit(gltf, manifest, schema);
+if (args.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  printReport(report, depth);
+}
+process.exitCode = report.violations.length > 0 ? 1 : 0;
+
+/**
+ * Load and validate a scene manifest from public/scenes/
+ */
+function readManifest(scene) {
+  const path = scene.endsWith('.json') ? resolve(scene) : publicPath(`${MANIFEST_DIR}${scene}.json`);
+  if (!existsSync(path)) {
+    throw new Error(`Scene manifest not found: ${displayPath(path)}`);
+  }
+  return validateSceneManifest(JSON.parse(readFileSync(path, 'utf8')), displayPath(path));
+}
+
+/**
+ * Load a model schema: { requiredNodes, maxTriangles, maxDrawCalls, maxTextureSize } (limits null = unchecked)
+ */
+function readSchema(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Schema not found: ${path}`);
+  }
+  const json = JSON.parse(readFileSync(path, 'utf8'));
+  const errors = [];
+  Object.keys(json).filter((key) => !(key in SCHEMA_DEFAULTS)).forEach((key) => {
+    errors.push(`unknown key "${key}" (expected ${Object.keys(SCHEMA_DEFAULTS).join(', ')})`);
+  });
+  if (json.requiredNodes !== undefined && !(Array.isArray(json.requiredNodes) && json.requiredNodes.every((name) => typeof name === 'string'))) {
+    errors.push('requiredNodes must be an array of node names');
+  }
+  ['maxTriangles', 'maxDrawCalls', 'maxTextureSize'].forEach((key) => {
+    if (json[key] !== undefined && json[key] !== null && !(Number.isFinite(json[key]) && json[key] > 0)) {
+      errors.push(`${key} must be a positive number or null`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid schema ${path}:\n   - ${errors.join('\n   - ')}`);
+  }
+  return { ...SCHEMA_DEFAULTS, ...json, path: displayPath(path) };
+}
+
+/**
+ * Read a .glb (or .gltf with its external buffers and images)
+ * @returns {{ file: string, bytes: number, json: Object, getBufferView: Function, readUri: Function }}
+ */
+function readGltf(file) {
+  if (!existsSync(file)) {
+    throw new Error(`Model not found: ${displayPath(file)}`);
+  }
+  const data = readFileSync(file);
+  let json;
+  let bin = null;
+
+  if (data.toString('utf8', 0, 4) === 'glTF') {
+    const version = data.readUInt32LE(4);
+    if (version !== 2) {
+      throw new Error(`${displayPath(file)} is glTF ${version}; only glTF 2.0 is supported`);
+    }
+    let offset = 12;
+    while (offset + 8 <= data.length) {
+      const chunkLength = data.readUInt32LE(offset);
+      const chunkType = data.readUInt32LE(offset + 4);
+      const chunk = data.subarray(offset + 8, offset + 8 + chunkLength);
+      if (chunkType === CHUNK_JSON) {
+        json = JSON.parse(chunk.toString('utf8'));
+      } else if (chunkType === CHUNK_BIN) {
+        bin = chunk;
+      }
+      offset += 8 + chunkLength;
+    }
+    if (!json) {
+      throw new Error(`${displayPath(file)} has no JSON chunk`);
+    }
+  } else if (data.toString('utf8', 0, 40).startsWith('version https://git-lfs')) {
+    throw new Error(`${displayPath(file)} is a Git LFS pointer, not the model (run git lfs pull, or copy the GLB in)`);
+  } else {
+    try {
+      json = JSON.parse(data.toString('utf8'));
+    } catch {
+      throw new Error(`${displayPath(file)} is neither a GLB nor glTF JSON`);
+    }
+  }
+
+  // Buffers and images: the GLB's BIN chunk, data: URIs or files next to the model (null if missing)
+  const buffers = new Map();
+  const readUri = (uri) => {
+    if (uri.startsWith('data:')) {
+      return Buffer.from(uri.slice(uri.indexOf(',') + 1), 'base64');
+    }
+    const path = join(dirname(file), decodeURIComponent(uri));
+    return existsSync(path) ? readFileSync(path) : null;
+  };
+  const getBuffer = (index) => {
+    if (!buffers.has(index)) {
+      const { uri } = json.buffers[index];
+      buffers.set(index, uri === undefined ? bin : readUri(uri));
+    }
+    return buffers.get(index);
+  };
+  const getBufferView = (index) => {
+    const view = json.bufferViews[index];
+    const buffer = getBuffer(view.buffer);
+    return buffer && buffer.subarray(view.byteOffset ?? 0, (view.byteOffset ?? 0) + view.byteLength);
+  };
+
+  return { file, bytes: data.length, json, getBufferView, readUri };
+}
+
+/**
+ * Build the report: hierarchy, counts, textures, bounds, material rule matches and schema violations
+ */
+function audit(gltf, manifest, schema) {
+  const { json } = gltf;
+  const warnings = [];
+  const violations = [];
+  const scene = buildScene(json, warnings);
+
+  let meshes = 0;
+  let drawCalls = 0;
+  let triangles = 0;
+  scene.traverse((node) => {
+    if (node.isMesh) {
+      meshes++;
+      drawCalls++;
+      triangles += node.userData.triangles;
+    }
+  });
+
+  const bounds = getVisibleBounds(scene);
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+
+  const textures = (json.images ?? []).map((image, index) => {
+    let bytes = null;
+    if (image.bufferView !== undefined) {
+      bytes = gltf.getBufferView(image.bufferView);
+    } else if (image.uri) {
+      bytes = gltf.readUri(image.uri);
+    }
+    const name = image.name || image.uri?.slice(0, 60) || `image_${index}`;
+    const dimensions = bytes ? readImageSize(bytes) : null;
+    if (!bytes) {
+      warnings.push(`Image "${name}" could not be read (missing file?)`);
+    } else if (!dimensions) {
+      warnings.push(`Image "${name}" has an unrecognized format (${image.mimeType ?? 'no mimeType'})`);
+    }
+    return { index, name, mimeType: image.mimeType ?? null, bytes: bytes?.length ?? null, ...dimensions };
+  });
+
+  // Meshes the manifest's material rules (glass keywords, transmission...) would convert at load
+  const rules = resolveMaterialRules(manifest.materials);
+  const conversions = [];
+  scene.traverse((node) => {
+    const rule = node.isMesh && findMatchingRule(node, rules, scene);
+    if (rule) {
+      conversions.push({ mesh: node.name || '(unnamed mesh)', path: getNodePath(node, scene), rule: rule.name, preset: rule.preset });
+    }
+  });
+
+  // Schema: required nodes and budgets
+  schema.requiredNodes.forEach((pattern) => {
+    if (findNodes(scene, pattern).length === 0) {
+      violations.push(`Required node "${pattern}" not found`);
+    }
+  });
+  if (schema.maxTriangles && triangles > schema.maxTriangles) {
+    violations.push(`${triangles.toLocaleString('en-US')} triangles (max ${schema.maxTriangles.toLocaleString('en-US')})`);
+  }
+  if (schema.maxDrawCalls && drawCalls > schema.maxDrawCalls) {
+    violations.push(`${drawCalls} draw calls (max ${schema.maxDrawCalls})`);
+  }
+  if (schema.maxTextureSize) {
+    textures.filter((texture) => Math.max(texture.width ?? 0, texture.height ?? 0) > schema.maxTextureSize).forEach((texture) => {
+      violations.push(`Texture "${texture.name}" is ${texture.width}×${texture.height} (max ${schema.maxTextureSize})`);
+    });
+  }
+
+  // What the scene manifest expects from this model
+  const referenced = new Set(manifest.hotspots.filter((hotspot) => hotspot.node).map((hotspot) => hotspot.node));
+  Object.values(manifest.configurator.options).forEach((choices) => {
+    Object.values(choices).forEach((effects) => {
+      [...(effects.show ?? []), ...(effects.hide ?? []), ...Object.keys(effects.materials ?? {})].forEach((name) => referenced.add(name));
+    });
+  });
+  referenced.forEach((pattern) => {
+    if (findNodes(scene, pattern).length === 0) {
+      violations.push(`Node "${pattern}" (used by the ${manifest.name} manifest) not found`);
+    }
+  });
+  const clips = (json.animations ?? []).map((animation, index) => animation.name || `animation_${index}`);
+  manifest.animations.filter((binding) => !clips.includes(binding.clip)).forEach((binding) => {
+    violations.push(`Animation clip "${binding.clip}" (used by the ${manifest.name} manifest) not found`);
+  });
+
+  return {
+    file: displayPath(gltf.file),
+    bytes: gltf.bytes,
+    generator: json.asset?.generator ?? null,
+    extensionsUsed: json.extensionsUsed ?? [],
+    hierarchy: describeNode(scene),
+    counts: {
+      nodes: json.nodes?.length ?? 0,
+      meshes: json.meshes?.length ?? 0,
+      meshObjects: meshes,
+      drawCalls,
+      materials: json.materials?.length ?? 0,
+      textures: json.textures?.length ?? 0,
+      images: textures.length,
+      animations: clips.length,
+    },
+    triangles,
+    bounds: bounds.isEmpty() ? null : { min: bounds.min.toArray(), max: bounds.max.toArray(), size: size.toArray(), center: center.toArray() },
+    textures,
+    conversions,
+    schema: schema.path,
+    warnings,
+    violations,
+  };
+}
+
+/**
+ * Mirror GLTFLoader's scene graph: same objects, names and transforms, with empty geometries
+ * Each mesh carries its triangle count in userData and its accessor bounds as geometry.boundingBox.
+ */
+function buildScene(json, warnings) {
+  const used = {};
+  const uniqueName = (name) => {
+    const sanitized = THREE.PropertyBinding.sanitizeNodeName(name || '');
+    if (sanitized in used) {
+      return `${sanitized}_${++used[sanitized]}`;
+    }
+    used[sanitized] = 0;
+    return sanitized;
+  };
+
+  const defaultMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, metalness: 1, roughness: 1 });
+  const materials = (json.materials ?? []).map(createMaterial);
+
+  const buildMesh = (meshIndex) => {
+    const meshDef = json.meshes[meshIndex];
+    const meshes = meshDef.primitives.map((primitive) => {
+      const geometry = new THREE.BufferGeometry();
+      geometry.boundingBox = accessorBounds(json.accessors?.[primitive.attributes.POSITION]);
+      if (geometry.boundingBox.isEmpty()) {
+        warnings.push(`Mesh "${meshDef.name ?? meshIndex}" has a primitive without POSITION min/max (left out of the bounds)`);
+      }
+      const mesh = new THREE.Mesh(geometry, primitive.material === undefined ? defaultMaterial : materials[primitive.material]);
+      mesh.name = uniqueName(meshDef.name || `mesh_${meshIndex}`);
+      mesh.userData.triangles = countTriangles(json, primitive);
+      return mesh;
+    });
+    if (meshes.length === 1) {
+      return meshes[0];
+    }
+    const group = new THREE.Group();
+    meshes.forEach((mesh) => group.add(mesh));
+    return group;
+  };
+
+  const buildNode = (nodeIndex) => {
+    const nodeDef = json.nodes[nodeIndex];
+    const nodeName = nodeDef.name ? uniqueName(nodeDef.name) : '';
+    const node = nodeDef.mesh !== undefined ? buildMesh(nodeDef.mesh) : new THREE.Object3D();
+
+    // EXT_mesh_gpu_instancing: one draw per primitive, triangles × instances
+    const instancing = nodeDef.extensions?.EXT_mesh_gpu_instancing;
+    if (instancing) {
+      const count = json.accessors[Object.values(instancing.attributes)[0]]?.count ?? 1;
+      node.traverse((child) => {
+        if (child.isMesh) {
+          child.userData.triangles *= count;
+        }
+      });
+    }
+
+    if (nodeDef.name) {
+      node.name = nodeName;
+    }
+    if (nodeDef.matrix) {
+      node.applyMatrix4(new THREE.Matrix4().fromArray(nodeDef.matrix));
+    } else {
+      node.position.fromArray(nodeDef.translation ?? [0, 0, 0]);
+      node.quaternion.fromArray(nodeDef.rotation ?? [0, 0, 0, 1]);
+      node.scale.fromArray(nodeDef.scale ?? [1, 1, 1]);
+    }
+    (nodeDef.children ?? []).forEach((child) => node.add(buildNode(child)));
+    return node;
+  };
+
+  const sceneDef = json.scenes?.[json.scene ?? 0] ?? { nodes: [] };
+  const scene = new THREE.Group();
+  if (sceneDef.name) {
+    scene.name = uniqueName(sceneDef.name);
+  }
+  sceneDef.nodes.forEach((index) => scene.add(buildNode(index)));
+  return scene;
+}
+
+/**
+ * The material GLTFLoader would create, with the properties material rules test
+ */
+function createMaterial(def) {
+  const extensions = def.extensions ?? {};
+  const pbr = def.pbrMetallicRoughness ?? {};
+  const [r, g, b, a] = pbr.baseColorFactor ?? [1, 1, 1, 1];
+  const texture = (info) => (info ? new THREE.Texture() : null);
+
+  let material;
+  if (extensions.KHR_materials_unlit) {
+    material = new THREE.MeshBasicMaterial();
+  } else {
+    material = PHYSICAL_EXTENSIONS.some((name) => extensions[name]) ? new THREE.MeshPhysicalMaterial() : new THREE.MeshStandardMaterial();
+    material.metalness = pbr.metallicFactor ?? 1;
+    material.roughness = pbr.roughnessFactor ?? 1;
+    material.metalnessMap = material.roughnessMap = texture(pbr.metallicRoughnessTexture);
+    material.normalMap = texture(def.normalTexture);
+    material.aoMap = texture(def.occlusionTexture);
+    material.emissive.fromArray(def.emissiveFactor ?? [0, 0, 0]);
+    material.emissiveMap = texture(def.emissiveTexture);
+  }
+  material.name = def.name ?? '';
+  material.color.setRGB(r, g, b, THREE.LinearSRGBColorSpace);
+  material.opacity = a;
+  material.map = texture(pbr.baseColorTexture);
+  material.transparent = def.alphaMode === 'BLEND';
+  material.alphaTest = def.alphaMode === 'MASK' ? def.alphaCutoff ?? 0.5 : 0;
+  material.side = def.doubleSided ? THREE.DoubleSide : THREE.FrontSide;
+  if (material.isMeshPhysicalMaterial) {
+    material.transmission = extensions.KHR_materials_transmission?.transmissionFactor ?? 0;
+    material.thickness = extensions.KHR_materials_volume?.thicknessFactor ?? 0;
+    material.ior = extensions.KHR_materials_ior?.ior ?? 1.5;
+    material.clearcoat = extensions.KHR_materials_clearcoat?.clearcoatFactor ?? 0;
+  }
+  return material;
+}
+
+function accessorBounds(accessor) {
+  const box = new THREE.Box3();
+  if (!accessor?.min || !accessor?.max) {
+    return box;
+  }
+  const scale = accessor.normalized ? NORMALIZED_SCALE[accessor.componentType] ?? 1 : 1;
+  box.min.fromArray(accessor.min).multiplyScalar(scale);
+  box.max.fromArray(accessor.max).multiplyScalar(scale);
+  return box;
+}
+
+/**
+ * Triangles one primitive draws (lines and points count none)
+ */
+function countTriangles(json, primitive) {
+  const mode = primitive.mode ?? 4;
+  const accessor = primitive.indices !== undefined ? json.accessors?.[primitive.indices] : json.accessors?.[primitive.attributes.POSITION];
+  const count = accessor?.count ?? 0;
+  if (mode === 4) {
+    return Math.floor(count / 3);
+  }
+  if (mode === 5 || mode === 6) {
+    return Math.max(count - 2, 0);
+  }
+  return 0;
+}
+
+/**
+ * Width and height from a PNG, JPEG, WebP or KTX2 header (null for anything else)
+ */
+function readImageSize(bytes) {
+  if (bytes.length >= 24 && bytes.readUInt32BE(0) === 0x89504e47) {
+    return { format: 'png', width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+  }
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = bytes[offset + 1];
+      // Start of frame (not DHT / JPG / DAC, which share the range)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { format: 'jpeg', width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+      }
+      // Markers without a length field
+      if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+        offset += marker === 0xff ? 1 : 2;
+        continue;
+      }
+      offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+  if (bytes.length >= 30 && bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = bytes.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { format: 'webp', width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = bytes.readUInt32LE(21);
+      return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { format: 'webp', width: bytes.readUIntLE(24, 3) + 1, height: bytes.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+  if (bytes.length >= 28 && bytes.toString('latin1', 1, 7) === 'KTX 20') {
+    return { format: 'ktx2', width: bytes.readUInt32LE(20), height: bytes.readUInt32LE(24) };
+  }
+  return null;
+}
+
+/**
+ * Hierarchy as plain data: { name, type, triangles (meshes), children }
+ */
+function describeNode(node) {
+  const entry = { name: node.name, type: node.isMesh ? 'Mesh' : node.type };
+  if (node.isMesh) {
+    entry.triangles = node.userData.triangles;
+    entry.material = node.material.name;
+  }
+  if (node.children.length > 0) {
+    entry.children = node.children.map(describeNode);
+  }
+  return entry;
+}
+
+function printReport(report, maxDepth) {
+  const { counts } = report;
+  const mb = (bytes) => (bytes < 1048576 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1048576).toFixed(2)} MB`);
+  console.log(`🔍 Model audit: ${report.file} (${mb(report.bytes)}${report.generator ? `, ${report.generator}` : ''})`);
+  if (report.extensionsUsed.length > 0) {
+    console.log(`   Extensions: ${report.extensionsUsed.join(', ')}`);
+  }
+
+  console.log('\n🌳 Hierarchy');
+  const printNode = (node, prefix, last, level) => {
+    const label = node.type === 'Mesh'
+      ? `${node.name || '(unnamed mesh)'}  [${node.triangles.toLocaleString('en-US')} tris, ${node.material || 'unnamed material'}]`
+      : `${node.name || `(unnamed ${node.type})`}${node.children && level === maxDepth ? `  (+${node.children.length} children)` : ''}`;
+    console.log(`   ${prefix}${level === 0 ? '' : last ? '└─ ' : '├─ '}${label}`);
+    if (level < maxDepth) {
+      const childPrefix = level === 0 ? '' : `${prefix}${last ? '   ' : '│  '}`;
+      (node.children ?? []).forEach((child, i, all) => printNode(child, childPrefix, i === all.length - 1, level + 1));
+    }
+  };
+  printNode({ ...report.hierarchy, name: report.hierarchy.name || '(scene)' }, '', true, 0);
+
+  console.log('\n📊 Summary');
+  console.log(`   Nodes ${counts.nodes} · meshes ${counts.meshes} (${counts.meshObjects} mesh objects, ${counts.drawCalls} draw calls)`);
+  console.log(`   Materials ${counts.materials} · textures ${counts.textures} · images ${counts.images} · animations ${counts.animations}`);
+  console.log(`   Triangles ${report.triangles.toLocaleString('en-US')}`);
+  if (report.bounds) {
+    const [x, y, z] = report.bounds.size.map((v) => v.toFixed(3));
+    console.log(`   Bounds ${x} × ${y} × ${z} (center ${report.bounds.center.map((v) => v.toFixed(3)).join(', ')})`);
+  } else {
+    console.log('   Bounds: none (no mesh has POSITION min/max)');
+  }
+
+  if (report.textures.length > 0) {
+    console.log('\n🖼️  Textures');
+    report.textures.forEach((texture) => {
+      const dimensions = texture.width ? `${texture.width}×${texture.height} ${texture.format}` : 'unknown size';
+      console.log(`   #${texture.index} ${texture.name}  ${dimensions}${texture.bytes !== null ? `, ${mb(texture.bytes)}` : ''}`);
+    });
+  }
+
+  console.log('\n🎨 Material rules');
+  if (report.conversions.length === 0) {
+    console.log('   No mesh matches a rule (nothing becomes glass)');
+  }
+  report.conversions.forEach(({ path, rule, preset }) => console.log(`   ${path} → ${preset} (${rule})`));
+
+  report.warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+
+  console.log(`\n📐 Schema: ${report.schema}`);
+  if (report.violations.length === 0) {
+    console.log('✅ No violations');
+    return;
+  }
+  report.violations.forEach((violation) => console.log(`   ❌ ${violation}`));
+  console.log(`❌ ${report.violations.length} violation${report.violations.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Resolve a site URL like /assets/model.glb to its file in public/
+ */
+function publicPath(url) {
+  return url.startsWith('/') ? join(root, 'public', url) : resolve(url);
+}
+
+/**
+ * Path relative to the project, or absolute when outside it
+ */
+function displayPath(path) {
+  const local = relative(root, path);
+  return local.startsWith('..') ? path : local;
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
@@ -0,0 +1,104 @@
+/**
+ * Capture a section of the target site for integration into this demo
+ *
+ *   npm run capture
+ *   npm run capture -- --url https://example.com/ --selector "#vault-section"
+ *
+ * TARGET_URL / TARGET_SELECTOR environment variables work too. Writes to capture/
+ * (gitignored): section.outer.html, page.links.json, section.computed.json,
+ * section.screenshot.png and manifest.json (what was captured, plus any errors).
+ */
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { chromium } from 'playwright';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const out = join(root, 'capture');
+
+const { values: args } = parseArgs({
+  options: {
+    url: { type: 'string', default: process.env.TARGET_URL || 'https://bsa-stage-truck-vault.pantheonsite.io/' },
+    selector: { type: 'string', default: process.env.TARGET_SELECTOR || '.hero-3d' },
+    width: { type: 'string', default: '1440' },
+    height: { type: 'string', default: '900' },
+  },
+});
+
+// Computed properties worth carrying over into src/styles.css
+const STYLE_PROPERTIES = [
+  'display', 'position', 'top', 'right', 'bottom', 'left', 'z-index',
+  'width', 'height', 'min-height', 'max-width', 'margin', 'padding',
+  'grid-template-columns', 'grid-template-rows', 'gap', 'flex-direction', 'align-items', 'justify-content',
+  'font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing', 'text-transform', 'color',
+  'background-color', 'background-image', 'border', 'border-radius', 'box-shadow', 'opacity', 'transform', 'overflow',
+];
+
+const viewport = { width: Number(args.width), height: Number(args.height) };
+const manifest = {
+  url: args.url,
+  selector: args.selector,
+  viewport,
+  capturedAt: new Date().toISOString(),
+  files: [],
+  errors: [],
+};
+
+const write = (name, contents) => {
+  writeFileSync(join(out, name), contents);
+  manifest.files.push(name);
+};
+
+mkdirSync(out, { recursive: true });
+console.log(`📸 Capturing ${args.selector} from ${args.url}`);
+
+const browser = await chromium.launch();
+try {
+  const page = await browser.newPage({ viewport });
+  page.on('pageerror', (error) => manifest.errors.push(`page error: ${error.message}`));
+  await page.goto(args.url, { waitUntil: 'networkidle', timeout: 60000 });
+
+  const section = page.locator(args.selector).first();
+  await section.waitFor({ timeout: 15000 });
+
+  write('section.outer.html', await section.evaluate((el) => el.outerHTML));
+
+  const links = await page.evaluate(() => {
+    const resources = performance.getEntriesByType('resource').map((entry) => entry.name);
+    return {
+      stylesheets: [...document.querySelectorAll('link[rel="stylesheet"]')].map((link) => link.href),
+      scripts: [...document.querySelectorAll('script[src]')].map((script) => script.src),
+      fonts: resources.filter((url) => /\.(woff2?|ttf|otf|eot)(\?|$)/i.test(url)),
+      models: resources.filter((url) => /\.(glb|gltf|hdr|exr|ktx2)(\?|$)/i.test(url)),
+    };
+  });
+  write('page.links.json', JSON.stringify(links, null, 2));
+
+  const computed = await section.evaluate((el, properties) => {
+    const describe = (node) => {
+      const id = node.id ? `#${node.id}` : '';
+      const classes = [...node.classList].map((name) => `.${name}`).join('');
+      return `${node.tagName.toLowerCase()}${id}${classes}`;
+    };
+    return [el, ...el.querySelectorAll('*')].map((node) => {
+      const style = getComputedStyle(node);
+      return {
+        element: describe(node),
+        styles: Object.fromEntries(properties.map((property) => [property, style.getPropertyValue(property)])),
+      };
+    });
+  }, STYLE_PROPERTIES);
+  write('section.computed.json', JSON.stringify(computed, null, 2));
+
+  await section.screenshot({ path: join(out, 'section.screenshot.png') });
+  manifest.files.push('section.screenshot.png');
+  console.log(`✅ Captured ${manifest.files.length} files to ${out}`);
+} catch (error) {
+  manifest.errors.push(error.message);
+  console.error(`❌ Capture failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await browser.close();
+  writeFileSync(join(out, 'manifest.json'), JSON.stringify(manifest, null, 2));
+}
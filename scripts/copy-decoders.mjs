@@ -0,0 +1,26 @@
+/**
+ * Copy three's DRACO and Basis (KTX2) decoders into public/decoders
+ * so they are served locally by the dev server and shipped with the build.
+ * Runs automatically before `npm run dev` and `npm run build`.
+ */
+import { mkdirSync, copyFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const libs = join(root, 'node_modules/three/examples/jsm/libs');
+const out = join(root, 'public/decoders');
+
+const FILES = {
+  draco: ['draco/gltf/draco_decoder.js', 'draco/gltf/draco_decoder.wasm', 'draco/gltf/draco_wasm_wrapper.js'],
+  basis: ['basis/basis_transcoder.js', 'basis/basis_transcoder.wasm'],
+};
+
+Object.entries(FILES).forEach(([dir, files]) => {
+  mkdirSync(join(out, dir), { recursive: true });
+  files.forEach((file) => {
+    copyFileSync(join(libs, file), join(out, dir, file.split('/').pop()));
+  });
+});
+
+console.log(`✅ Decoders copied to ${out}`);
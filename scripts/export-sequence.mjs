@@ -0,0 +1,90 @@
+/**
+ * Export the scroll timeline as an image sequence for the no-WebGL fallback
+ *
+ * Renders the scene in headless Chromium with software GL (see headless.mjs)
+ * at evenly spaced progress steps and writes the frames plus sequence.json,
+ * which the viewer's fallback player (src/viewer/sequenceFallback.js) reads.
+ *
+ *   npm run export-sequence
+ *   npm run export-sequence -- --scene vehicle_2 --frames 90 --format jpeg --quality 0.7
+ *
+ * Frames land in public/sequences/<scene>/ (gitignored) unless --out says
+ * otherwise; point the manifest's fallback.sequence at that directory. Re-export
+ * whenever the model, keyframes or look of the scene change.
+ */
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { root, startHeadless, openViewer, dataUrlToBuffer } from './headless.mjs';
+
+const FORMATS = { webp: 'webp', jpeg: 'jpg' };
+
+const { values: args } = parseArgs({
+  options: {
+    scene: { type: 'string', default: 'default' },
+    frames: { type: 'string', default: '60' },
+    format: { type: 'string', default: 'webp' },
+    quality: { type: 'string', default: '0.8' },
+    width: { type: 'string', default: '1280' },
+    height: { type: 'string', default: '720' },
+    out: { type: 'string' },
+    timeout: { type: 'string', default: '120000' },
+  },
+});
+
+const frames = Number(args.frames);
+const quality = Number(args.quality);
+if (!Number.isInteger(frames) || frames < 2) {
+  console.error(`❌ --frames must be a whole number of at least 2 (got "${args.frames}")`);
+  process.exit(1);
+}
+if (!FORMATS[args.format]) {
+  console.error(`❌ --format must be one of ${Object.keys(FORMATS).join(', ')} (got "${args.format}")`);
+  process.exit(1);
+}
+if (!Number.isFinite(quality) || quality <= 0 || quality > 1) {
+  console.error(`❌ --quality must be a number above 0 and at most 1 (got "${args.quality}")`);
+  process.exit(1);
+}
+const outDir = args.out ? resolve(args.out) : join(root, 'public/sequences', args.scene);
+const width = Number(args.width);
+const height = Number(args.height);
+
+console.log(`🎞️  Exporting ${frames} ${args.format} frames of ${args.scene} at ${width}×${height}`);
+const { baseUrl, context, close } = await startHeadless({ width, height });
+
+try {
+  const page = await openViewer(context, baseUrl, { scene: args.scene, progress: 0, timeout: Number(args.timeout) });
+  rmSync(outDir, { recursive: true, force: true });
+  mkdirSync(outDir, { recursive: true });
+
+  const files = [];
+  for (let i = 0; i < frames; i++) {
+    const progress = i / (frames - 1);
+    const dataUrl = await page.evaluate(async ({ progress, type, quality }) => {
+      const viewer = window.__viewers[0];
+      await viewer.setProgress(progress);
+      return viewer.captureFrame(type, quality);
+    }, { progress, type: `image/${args.format}`, quality });
+
+    // Chromium quietly falls back to PNG for types it can't encode
+    if (!dataUrl.startsWith(`data:image/${args.format}`)) {
+      throw new Error(`The browser could not encode ${args.format} (got ${dataUrl.slice(5, dataUrl.indexOf(';'))})`);
+    }
+    const name = `frame-${String(i).padStart(4, '0')}.${FORMATS[args.format]}`;
+    writeFileSync(join(outDir, name), dataUrlToBuffer(dataUrl));
+    files.push(name);
+    process.stdout.write(`\r   ${i + 1}/${frames}`);
+  }
+  process.stdout.write('\n');
+  await page.close();
+
+  const info = { scene: args.scene, frames, width, height, format: args.format, files };
+  writeFileSync(join(outDir, 'sequence.json'), JSON.stringify(info, null, 2));
+  console.log(`✅ Sequence written to ${outDir}`);
+} catch (error) {
+  console.error(`❌ Export failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await close();
+}
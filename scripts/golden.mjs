@@ -0,0 +1,180 @@
+/**
+ * Golden-image regression check for the scroll timeline
+ *
+ * Serves the app with Vite, opens it in headless Chromium with software GL
+ * (SwiftShader, no GPU needed) and renders each progress value through
+ * `?progress=`. Every frame is pixel-diffed against golden/<scene>/.
+ *
+ *   npm run golden -- --update              # (re)write the goldens, then commit golden/<scene>/
+ *   npm run golden                          # compare against them
+ *   npm run golden -- --scene vehicle_2 --progress 0,0.5,1 --threshold 24 --max-diff 0.005
+ *
+ * A pixel counts as different when any channel differs by more than
+ * `threshold` (0-255); a frame fails when more than `max-diff` of its pixels
+ * differ. Failing frames are written to test-results/golden/<scene>/ as
+ * *.actual.png and *.diff.png (differences in red). Exits 1 on any failure.
+ *
+ * No goldens ship with the repo: public/assets/model.glb is committed as a Git
+ * LFS pointer, so frames depend on the model pulled locally. Write a baseline
+ * with --update after `git lfs pull`, commit it, and regenerate it whenever
+ * the model itself changes. Without a baseline the check fails at once.
+ */
+import { mkdirSync, existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { root, startHeadless, openViewer, dataUrlToBuffer } from './headless.mjs';
+
+const { values: args } = parseArgs({
+  options: {
+    scene: { type: 'string', default: 'default' },
+    progress: { type: 'string', default: '0,0.25,0.5,0.75,1' },
+    threshold: { type: 'string', default: '16' },
+    'max-diff': { type: 'string', default: '0.002' },
+    width: { type: 'string', default: '1280' },
+    height: { type: 'string', default: '720' },
+    timeout: { type: 'string', default: '120000' },
+    update: { type: 'boolean', default: false },
+  },
+});
+
+const progresses = args.progress.split(',').map(Number);
+if (progresses.some((p) => !Number.isFinite(p) || p < 0 || p > 1)) {
+  console.error(`❌ --progress must be a comma-separated list of numbers from 0 to 1 (got "${args.progress}")`);
+  process.exit(1);
+}
+const threshold = Number(args.threshold);
+const maxDiff = Number(args['max-diff']);
+const goldenDir = join(root, 'golden', args.scene);
+const outputDir = join(root, 'test-results/golden', args.scene);
+
+if (!args.update && !existsSync(goldenDir)) {
+  console.error(`❌ No goldens for "${args.scene}" in ${goldenDir}`);
+  console.error('   Create the baseline with npm run golden -- --update (after git lfs pull), then commit it');
+  process.exit(1);
+}
+
+const { baseUrl, context, close } = await startHeadless({ width: Number(args.width), height: Number(args.height) });
+
+let failures = 0;
+try {
+  for (const progress of progresses) {
+    const name = `progress-${progress.toFixed(3)}`;
+    const goldenPath = join(goldenDir, `${name}.png`);
+    let actual;
+    try {
+      actual = await renderFrame(context, progress);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${name}: ${error.message}`);
+      continue;
+    }
+
+    if (args.update) {
+      mkdirSync(goldenDir, { recursive: true });
+      writeFileSync(goldenPath, dataUrlToBuffer(actual));
+      console.log(`📝 ${name}: golden written`);
+      continue;
+    }
+    if (!existsSync(goldenPath)) {
+      failures++;
+      console.error(`❌ ${name}: no golden at ${goldenPath} (run with --update to create it)`);
+      continue;
+    }
+
+    const expected = `data:image/png;base64,${readFileSync(goldenPath).toString('base64')}`;
+    const result = await compareImages(context, actual, expected, threshold);
+    const ratio = result.total > 0 ? result.different / result.total : 1;
+    if (result.sizeMismatch || ratio > maxDiff) {
+      failures++;
+      mkdirSync(outputDir, { recursive: true });
+      writeFileSync(join(outputDir, `${name}.actual.png`), dataUrlToBuffer(actual));
+      if (result.diff) {
+        writeFileSync(join(outputDir, `${name}.diff.png`), dataUrlToBuffer(result.diff));
+      }
+      console.error(result.sizeMismatch
+        ? `❌ ${name}: size ${result.sizeMismatch} differs from the golden`
+        : `❌ ${name}: ${(ratio * 100).toFixed(3)}% of pixels differ (max ${(maxDiff * 100).toFixed(3)}%)`);
+    } else {
+      console.log(`✅ ${name}: ${(ratio * 100).toFixed(3)}% of pixels differ`);
+    }
+  }
+} finally {
+  await close();
+}
+
+if (failures > 0) {
+  console.error(`❌ ${failures} of ${progresses.length} frames failed${args.update ? '' : ` (mismatches are in ${outputDir})`}`);
+  process.exit(1);
+}
+console.log(`✅ ${progresses.length} frames ${args.update ? 'written' : 'match'} (${args.scene})`);
+
+/**
+ * Load the scene at a fixed progress and grab the canvas once the viewer reports the frame ready
+ */
+async function renderFrame(context, progress) {
+  const page = await openViewer(context, baseUrl, { scene: args.scene, progress, timeout: Number(args.timeout) });
+  try {
+    return await page.evaluate(() => window.__viewers[0].captureFrame());
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Pixel-diff two PNG data URLs in the browser (no image libraries needed in Node)
+ */
+async function compareImages(context, actual, expected, channelThreshold) {
+  const page = await context.newPage();
+  try {
+    return await page.evaluate(async ({ actual, expected, channelThreshold }) => {
+      const load = (src) => new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not decode image'));
+        image.src = src;
+      });
+      const pixels = (image) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        return ctx.getImageData(0, 0, image.width, image.height);
+      };
+
+      const [a, b] = await Promise.all([load(actual), load(expected)]);
+      if (a.width !== b.width || a.height !== b.height) {
+        return { sizeMismatch: `${a.width}×${a.height} vs ${b.width}×${b.height}`, different: 0, total: 0, diff: null };
+      }
+
+      const pa = pixels(a);
+      const pb = pixels(b);
+      const diffCanvas = document.createElement('canvas');
+      diffCanvas.width = a.width;
+      diffCanvas.height = a.height;
+      const diffCtx = diffCanvas.getContext('2d');
+      const diff = diffCtx.createImageData(a.width, a.height);
+      let different = 0;
+      for (let i = 0; i < pa.data.length; i += 4) {
+        const delta = Math.max(
+          Math.abs(pa.data[i] - pb.data[i]),
+          Math.abs(pa.data[i + 1] - pb.data[i + 1]),
+          Math.abs(pa.data[i + 2] - pb.data[i + 2]),
+          Math.abs(pa.data[i + 3] - pb.data[i + 3])
+        );
+        // Differences in red over a faded copy of the golden
+        const gray = (pb.data[i] + pb.data[i + 1] + pb.data[i + 2]) / 3;
+        if (delta > channelThreshold) {
+          different++;
+          diff.data.set([255, 0, 0, 255], i);
+        } else {
+          diff.data.set([gray, gray, gray, 64], i);
+        }
+      }
+      diffCtx.putImageData(diff, 0, 0);
+      return { sizeMismatch: null, different, total: a.width * a.height, diff: diffCanvas.toDataURL('image/png') };
+    }, { actual, expected, channelThreshold });
+  } finally {
+    await page.close();
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Headless rendering setup shared by golden.mjs and export-sequence.mjs
+ *
+ * Serves the app with the Vite dev server and opens it in headless Chromium
+ * with software GL (SwiftShader), so no GPU is needed. Pages load with
+ * ?renderer=webgl so the low-power check never swaps in the image sequence.
+ */
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+import { chromium } from 'playwright';
+
+export const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Start the dev server and a browser context with a fixed viewport
+ * @param {Object} opts - { width, height }
+ * @returns {Promise<{ baseUrl: string, context: Object, close: Function }>}
+ */
+export async function startHeadless(opts = {}) {
+  const { width = 1280, height = 720 } = opts;
+  const server = await createServer({ root, logLevel: 'warn' });
+  await server.listen();
+
+  let browser;
+  try {
+    browser = await chromium.launch({
+      args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist'],
+    });
+  } catch (error) {
+    await server.close();
+    throw error;
+  }
+  const context = await browser.newContext({
+    viewport: { width, height },
+    deviceScaleFactor: 1,
+    reducedMotion: 'no-preference',
+  });
+
+  const close = async () => {
+    await browser.close();
+    await server.close();
+  };
+  return { baseUrl: server.resolvedUrls.local[0], context, close };
+}
+
+/**
+ * Open a scene at a fixed progress and wait for the viewer's frame-ready signal
+ * @param {Object} context - Playwright browser context
+ * @param {string} baseUrl - Dev server URL
+ * @param {Object} opts - { scene, progress, timeout (ms) }
+ * @returns {Promise<Object>} The page (close it when done)
+ */
+export async function openViewer(context, baseUrl, opts = {}) {
+  const { scene = 'default', progress = 0, timeout = 120000 } = opts;
+  const page = await context.newPage();
+  page.on('pageerror', (error) => console.error(`   page error: ${error.message}`));
+  try {
+    await page.goto(`${baseUrl}?scene=${encodeURIComponent(scene)}&renderer=webgl&progress=${progress}`);
+    await page.waitForFunction(() => window.__viewers?.[0]?.section.dataset.frameReady === 'true', null, { timeout });
+  } catch (error) {
+    await page.close();
+    throw new Error(`Viewer never reported a ready frame at progress ${progress} (is the model in public/assets?)`);
+  }
+  return page;
+}
+
+export function dataUrlToBuffer(dataUrl) {
+  return Buffer.from(dataUrl.split(',')[1], 'base64');
+}
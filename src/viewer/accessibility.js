@@ -0,0 +1,206 @@
+/**
+ * Accessibility for a scroll section: reduced motion, keyboard stepping, announcements
+ *
+ * - The canvas gets an accessible name (role="img")
+ * - With the section focused, arrow keys / Page Up / Page Down / Home / End
+ *   step between keyframes (scrolling the page to each one while pinned)
+ * - A polite live region announces each keyframe's `description` as it is reached
+ * - Under `prefers-reduced-motion: reduce` the viewer swaps scrubbing for
+ *   discrete poses with a short fade (see ScrollViewer.motionMode)
+ */
+
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+let nextId = 0;
+
+/**
+ * Whether the user asked the OS / browser for reduced motion
+ */
+export function prefersReducedMotion() {
+  return Boolean(window.matchMedia?.(REDUCED_MOTION_QUERY).matches);
+}
+
+/**
+ * Create keyboard stepping and pose announcements for a section
+ * @param {HTMLElement} section - Pinned section (made focusable)
+ * @param {Array} keyframes - Ordered world keyframes ({ name, progress, description })
+ * @param {Object} opts - { canvas, label (canvas accessible name), onStep(index, keyframe, { initial }) when the current pose changes }
+ * @returns {{ update: Function, bindToTimeline: Function, setKeyframes: Function, goTo: Function, step: Function, getActive: Function, dispose: Function }}
+ */
+export function createPoseSteps(section, keyframes = [], opts = {}) {
+  const { canvas = null, label = '3D model viewer', onStep = null } = opts;
+  let frames = keyframes;
+  let active = -1;
+  let scrollTrigger = null;
+  const restore = [];
+
+  // Only fill in what the page's own markup doesn't already say
+  const setDefault = (element, name, value) => {
+    if (element && !element.hasAttribute(name)) {
+      element.setAttribute(name, value);
+      restore.push(() => element.removeAttribute(name));
+    }
+  };
+
+  const region = createRegion(section);
+  const live = region.querySelector('.viewer-a11y__live');
+  setDefault(canvas, 'role', 'img');
+  setDefault(canvas, 'aria-label', label);
+  setDefault(section, 'tabindex', '0');
+  setDefault(section, 'aria-describedby', region.querySelector('.viewer-a11y__hint').id);
+  setDefault(section, 'aria-keyshortcuts', 'ArrowUp ArrowDown PageUp PageDown Home End');
+
+  const describe = (index) => frames[index].description
+    || `View ${index + 1} of ${frames.length}: ${frames[index].name || 'untitled'}`;
+
+  const activate = (index, initial) => {
+    if (index === active || index === -1) {
+      return;
+    }
+    active = index;
+    if (!initial) {
+      live.textContent = describe(index);
+    }
+    onStep?.(index, frames[index], { initial });
+  };
+
+  /**
+   * Sync the current pose to a timeline progress (0 → 1): the last keyframe reached
+   */
+  const update = (progress = 0) => {
+    let index = -1;
+    frames.forEach((kf, i) => {
+      if (progress + 1e-4 >= kf.progress) {
+        index = i;
+      }
+    });
+    activate(index, active === -1);
+  };
+
+  /**
+   * Drive the steps from a scroll timeline, or from the keyboard alone (tl = null, e.g. static mode)
+   * Call again for every rebuilt timeline.
+   * @param {gsap.core.Timeline|null} tl - Scroll timeline (progress 0 → 1)
+   */
+  const bindToTimeline = (tl) => {
+    active = -1;
+    scrollTrigger = tl?.scrollTrigger || null;
+    if (!tl) {
+      update(0);
+      return;
+    }
+    tl.fromTo({ t: 0 }, { t: 0 }, {
+      t: 1,
+      duration: 1,
+      ease: 'none',
+      immediateRender: false,
+      onUpdate: function () {
+        update(this.targets()[0].t);
+      }
+    }, 0);
+    update(tl.progress());
+  };
+
+  /**
+   * Replace the keyframes (bind the rebuilt timeline afterwards)
+   */
+  const setKeyframes = (next) => {
+    frames = next;
+    active = -1;
+  };
+
+  /**
+   * Go to a keyframe: scroll to it while a timeline is bound, otherwise switch directly
+   * @param {number} index - Keyframe index (clamped)
+   */
+  const goTo = (index) => {
+    if (frames.length === 0) {
+      return;
+    }
+    const target = Math.max(0, Math.min(frames.length - 1, index));
+    if (!scrollTrigger) {
+      activate(target, false);
+      return;
+    }
+    const top = scrollTrigger.start + (scrollTrigger.end - scrollTrigger.start) * frames[target].progress;
+    window.scrollTo({ top: Math.ceil(top) + 1, behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+  };
+
+  const step = (delta) => goTo(Math.max(active, 0) + delta);
+
+  const getActive = () => (active === -1 ? null : frames[active].name);
+
+  // Keys only step while the section itself (or its canvas) has focus, so buttons inside keep theirs
+  const onKeyDown = (e) => {
+    if (e.target !== section && e.target !== canvas) {
+      return;
+    }
+    const moves = { ArrowDown: 1, ArrowRight: 1, PageDown: 1, ArrowUp: -1, ArrowLeft: -1, PageUp: -1 };
+    if (e.key === 'Home') {
+      goTo(0);
+    } else if (e.key === 'End') {
+      goTo(frames.length - 1);
+    } else if (moves[e.key]) {
+      step(moves[e.key]);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+  section.addEventListener('keydown', onKeyDown);
+
+  const dispose = () => {
+    section.removeEventListener('keydown', onKeyDown);
+    restore.forEach((undo) => undo());
+    region.remove();
+  };
+
+  return { update, bindToTimeline, setKeyframes, goTo, step, getActive, dispose };
+}
+
+/**
+ * Fade an element out, swap what it shows, and fade it back in
+ * Uses the Web Animations API, so CSS transition rules on the element don't interfere.
+ * @param {HTMLElement} element - Usually the canvas
+ * @param {number} duration - Milliseconds for each half of the fade
+ * @returns {{ crossfade: Function, dispose: Function }} crossfade(swap) runs swap() while the element is hidden
+ */
+export function createCrossfade(element, duration = 150) {
+  let fadeOut = null;
+  let fadeIn = null;
+
+  const crossfade = (swap) => {
+    // A newer swap replaces one still waiting for its fade-out
+    fadeOut?.cancel();
+    fadeIn?.cancel();
+    fadeOut = element.animate([{ opacity: 1 }, { opacity: 0 }], { duration, fill: 'forwards' });
+    fadeOut.onfinish = () => {
+      swap();
+      fadeIn = element.animate([{ opacity: 0 }, { opacity: 1 }], { duration });
+      fadeOut.cancel();
+      fadeOut = null;
+    };
+  };
+
+  const dispose = () => {
+    fadeOut?.cancel();
+    fadeIn?.cancel();
+  };
+
+  return { crossfade, dispose };
+}
+
+/**
+ * Visually hidden usage hint + live region for pose announcements
+ */
+function createRegion(section) {
+  const id = `viewer-a11y-hint-${++nextId}`;
+  const region = document.createElement('div');
+  region.className = 'viewer-a11y';
+  region.innerHTML = `
+    <p class="viewer-a11y__hint" id="${id}">Use the arrow keys to step through the views of the model.</p>
+    <div class="viewer-a11y__live" aria-live="polite" aria-atomic="true"></div>
+  `;
+  section.appendChild(region);
+  return region;
+}
@@ -0,0 +1,43 @@
+import * as THREE from 'three';
+import { createOrbitState, resolvePose, setCamLocalFromWorld } from './orbitInterpolation.js';
+
+/**
+ * Default spline settings (overridable per scene via manifest `cameraPath`)
+ * curveType: 'centripetal' avoids cusps and self-intersections on uneven waypoint spacing
+ */
+export const PATH_DEFAULTS = {
+  curveType: 'centripetal',
+  tension: 0.5,
+};
+
+/**
+ * Create a spline interpolator through every keyframe's camera world position
+ * Keyframe i sits at curve parameter i / (n - 1), so a segment only needs its
+ * index to find its stretch of the curve. Rig orientation is slerped and the
+ * target lerped exactly like orbital segments.
+ * @param {Array} keyframes - Ordered keyframe list (waypoints)
+ * @param {Object} opts - { curveType, tension }
+ * @returns {{curve: THREE.CatmullRomCurve3, interpolate: Function}} interpolate(index, t, out)
+ */
+export function createSplineInterpolator(keyframes, opts = {}) {
+  const { curveType = PATH_DEFAULTS.curveType, tension = PATH_DEFAULTS.tension } = opts;
+
+  const poses = keyframes.map(resolvePose);
+  const curve = new THREE.CatmullRomCurve3(poses.map((p) => p.camWorldPos), false, curveType, tension);
+  const lastIndex = poses.length - 1;
+  const point = new THREE.Vector3();
+
+  const interpolate = (index, t, out = createOrbitState()) => {
+    const a = poses[index];
+    const b = poses[index + 1];
+    out.rigPos.lerpVectors(a.rigPos, b.rigPos, t);
+    out.rigQuat.slerpQuaternions(a.rigQuat, b.rigQuat, t);
+    out.target.lerpVectors(a.target, b.target, t);
+    out.fov = a.fov + (b.fov - a.fov) * t;
+
+    curve.getPoint((index + t) / lastIndex, point);
+    return setCamLocalFromWorld(out, point);
+  };
+
+  return { curve, interpolate };
+}
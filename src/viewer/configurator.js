@@ -0,0 +1,345 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * Configuration state → model
+ *
+ * A scene's `configurator` block maps option keys to choices, and each choice
+ * to effects on named nodes of the loaded model:
+ *
+ *   "paint": {
+ *     "white": { "materials": { "Body": { "color": "#ffffff" } } },
+ *     "black": { "materials": { "Body": "Paint_Black" } },
+ *     "camo":  { "variant": "Camo" }
+ *   },
+ *   "drawer": {
+ *     "single": { "show": ["Drawer_Single"], "hide": ["Drawer_Double"] }
+ *   }
+ *
+ * Node names match exactly or with a trailing/leading `*` wildcard. A material
+ * entry is either the name of a material already in the GLB or property
+ * overrides (color, emissive, metalness, roughness, opacity...). `variant`
+ * selects a KHR_materials_variants variant by name.
+ */
+
+const VARIANTS_EXTENSION = 'KHR_materials_variants';
+
+/**
+ * Create a configurator bound to a loaded model
+ * @param {THREE.Object3D} model - Loaded glTF scene
+ * @param {Object} schema - { defaults: { key: choice }, options: { key: { choice: effects } } }
+ * @param {Object} opts - { parser (gltf.parser), variants (variant names), onChange(state, changed) }
+ * @returns {{ setConfiguration: Function, getConfiguration: Function, getOptions: Function }}
+ */
+export function createConfigurator(model, schema = {}, opts = {}) {
+  const { options = {}, defaults = {} } = schema;
+  const { parser = null, variants = [], onChange } = opts;
+
+  const materialsByName = collectMaterials(model);
+  const state = {};
+  // Calls run one after another, each starting from the previous call's result
+  let queue = Promise.resolve();
+
+  reportMissingNodes(model, options);
+
+  /**
+   * Apply a (partial) configuration, after any change still running
+   * @param {Object} next - { optionKey: choice }
+   * @param {Object} applyOpts - { animate, duration }
+   * @returns {Promise<Object>} Resulting full state
+   */
+  const setConfiguration = (next = {}, applyOpts = {}) => {
+    const run = queue.then(() => applyConfiguration(next, applyOpts));
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const applyConfiguration = async (next, applyOpts) => {
+    const { animate = false, duration = 0.4 } = applyOpts;
+    const changed = {};
+
+    for (const [key, choice] of Object.entries(next)) {
+      const effects = options[key]?.[choice];
+      if (!effects) {
+        console.warn(`⚠️ Unknown configuration "${key}: ${choice}"`);
+        continue;
+      }
+      if (state[key] === choice) {
+        continue;
+      }
+
+      const tweens = [];
+      (effects.hide || []).forEach((pattern) => {
+        findNodes(model, pattern).forEach((node) => tweens.push(setVisible(node, false, animate, duration)));
+      });
+      (effects.show || []).forEach((pattern) => {
+        findNodes(model, pattern).forEach((node) => tweens.push(setVisible(node, true, animate, duration)));
+      });
+      Object.entries(effects.materials || {}).forEach(([pattern, material]) => {
+        findNodes(model, pattern).forEach((node) => {
+          tweens.push(applyMaterial(node, material, materialsByName, animate, duration));
+        });
+      });
+      if (effects.variant !== undefined) {
+        await selectVariant(model, parser, variants, effects.variant);
+      }
+      await Promise.all(tweens);
+
+      state[key] = choice;
+      changed[key] = choice;
+    }
+
+    if (Object.keys(changed).length > 0) {
+      console.log(`🧩 Configuration: ${JSON.stringify(changed)}`);
+      if (onChange) {
+        onChange({ ...state }, changed);
+      }
+    }
+    return { ...state };
+  };
+
+  const getConfiguration = () => ({ ...state });
+
+  /**
+   * List option keys and their choices (for building UI)
+   */
+  const getOptions = () => Object.fromEntries(
+    Object.entries(options).map(([key, choices]) => [key, Object.keys(choices)])
+  );
+
+  // Apply defaults immediately, without animation
+  if (Object.keys(defaults).length > 0) {
+    setConfiguration(defaults).catch((error) => {
+      console.warn(`⚠️ Default configuration failed: ${error.message}`);
+    });
+  }
+
+  console.log(`✅ Configurator ready | options: ${Object.keys(options).join(', ') || 'none'}${variants.length ? ` | variants: ${variants.join(', ')}` : ''}`);
+  return { setConfiguration, getConfiguration, getOptions };
+}
+
+/**
+ * Read KHR_materials_variants variant names from a loaded glTF
+ * @param {Object} gltf - GLTFLoader result
+ * @returns {string[]}
+ */
+export function getVariantNames(gltf) {
+  const ext = gltf?.userData?.gltfExtensions?.[VARIANTS_EXTENSION];
+  return ext?.variants?.map((variant) => variant.name) || [];
+}
+
+/**
+ * Switch every mapped mesh to a KHR_materials_variants variant (null restores originals)
+ */
+async function selectVariant(model, parser, variants, name) {
+  const index = name === null ? -1 : variants.indexOf(name);
+  if (name !== null && index === -1) {
+    console.warn(`⚠️ Material variant "${name}" not in model (available: ${variants.join(', ') || 'none'})`);
+    return;
+  }
+  if (!parser) {
+    console.warn('⚠️ Material variants need the glTF parser');
+    return;
+  }
+
+  const pending = [];
+  model.traverse((node) => {
+    const ext = node.userData.gltfExtensions?.[VARIANTS_EXTENSION];
+    if (!node.isMesh || !ext) {
+      return;
+    }
+    if (!node.userData.variantOriginalMaterial) {
+      node.userData.variantOriginalMaterial = node.material;
+    }
+    const mapping = ext.mappings.find((m) => m.variants.includes(index));
+    node.userData.configuratorOwnsMaterial = false;
+    if (!mapping) {
+      node.material = node.userData.variantOriginalMaterial;
+      return;
+    }
+    // A broken variant material (e.g. a missing texture) leaves that mesh as it was
+    pending.push(parser.getDependency('material', mapping.material).then((material) => {
+      node.material = material;
+      parser.assignFinalMaterial(node);
+    }, (error) => {
+      console.warn(`⚠️ Variant "${name}" material for "${node.name}" failed to load: ${error.message}`);
+    }));
+  });
+  await Promise.all(pending);
+}
+
+/**
+ * Show/hide a node, optionally fading its meshes
+ * The material's own opacity / transparent are kept in userData on the first fade,
+ * so a fade that replaces a running one still ends on the real values.
+ */
+function setVisible(node, visible, animate, duration) {
+  if (node.visible === visible && !node.userData.configuratorFading) {
+    return Promise.resolve();
+  }
+  if (!animate) {
+    node.visible = visible;
+    return Promise.resolve();
+  }
+
+  const materials = [];
+  node.traverse((child) => {
+    if (child.isMesh) {
+      ownMaterials(child).forEach((material) => materials.push(material));
+    }
+  });
+
+  const wasShown = node.visible;
+  node.visible = true;
+  node.userData.configuratorFading = true;
+  const originals = materials.map((material) => {
+    gsap.killTweensOf(material);
+    if (!material.userData.configuratorFade) {
+      material.userData.configuratorFade = { opacity: material.opacity, transparent: material.transparent };
+    }
+    return material.userData.configuratorFade;
+  });
+  materials.forEach((material) => {
+    material.transparent = true;
+    if (!wasShown) {
+      material.opacity = 0;
+    }
+    material.needsUpdate = true;
+  });
+
+  return Promise.all(materials.map((material, i) => gsap.to(material, {
+    opacity: visible ? originals[i].opacity : 0,
+    duration,
+    ease: 'power1.inOut',
+  }).then())).then(() => {
+    materials.forEach((material, i) => {
+      material.opacity = originals[i].opacity;
+      material.transparent = originals[i].transparent;
+      material.needsUpdate = true;
+      delete material.userData.configuratorFade;
+    });
+    node.visible = visible;
+    node.userData.configuratorFading = false;
+  });
+}
+
+/**
+ * Swap in a named model material, or apply property overrides (tweened when animating)
+ */
+function applyMaterial(node, material, materialsByName, animate, duration) {
+  const meshes = [];
+  node.traverse((child) => {
+    if (child.isMesh) {
+      meshes.push(child);
+    }
+  });
+
+  if (typeof material === 'string') {
+    const replacement = materialsByName.get(material);
+    if (!replacement) {
+      console.warn(`⚠️ Material "${material}" not found in model`);
+      return Promise.resolve();
+    }
+    meshes.forEach((mesh) => {
+      mesh.material = replacement;
+      mesh.userData.configuratorOwnsMaterial = false;
+    });
+    return Promise.resolve();
+  }
+
+  const tweens = [];
+  meshes.forEach((mesh) => {
+    ownMaterials(mesh).forEach((target) => {
+      Object.entries(material).forEach(([prop, value]) => {
+        if (target[prop] instanceof THREE.Color) {
+          const color = new THREE.Color(value);
+          if (animate) {
+            tweens.push(gsap.to(target[prop], { r: color.r, g: color.g, b: color.b, duration }).then());
+          } else {
+            target[prop].copy(color);
+          }
+        } else if (typeof target[prop] === 'number' && typeof value === 'number') {
+          if (animate) {
+            tweens.push(gsap.to(target, { [prop]: value, duration }).then());
+          } else {
+            target[prop] = value;
+          }
+        } else {
+          console.warn(`⚠️ Material property "${prop}" not supported on ${target.type}`);
+        }
+      });
+    });
+  });
+  return Promise.all(tweens);
+}
+
+/**
+ * Give a mesh its own material copies so overrides don't leak to other meshes sharing them
+ */
+function ownMaterials(mesh) {
+  if (!mesh.userData.configuratorOwnsMaterial) {
+    mesh.material = Array.isArray(mesh.material)
+      ? mesh.material.map((material) => material.clone())
+      : mesh.material.clone();
+    mesh.userData.configuratorOwnsMaterial = true;
+  }
+  return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+}
+
+/**
+ * Find nodes by exact name or `*` wildcard pattern
+ * @param {THREE.Object3D} model - Root to search
+ * @param {string} pattern - Node name, e.g. "Drawer_Single" or "Wheel_*"
+ * @returns {THREE.Object3D[]}
+ */
+export function findNodes(model, pattern) {
+  if (!pattern.includes('*')) {
+    const node = model.getObjectByName(pattern);
+    return node ? [node] : [];
+  }
+  const regex = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`);
+  const nodes = [];
+  model.traverse((node) => {
+    if (regex.test(node.name)) {
+      nodes.push(node);
+    }
+  });
+  return nodes;
+}
+
+function collectMaterials(model) {
+  const byName = new Map();
+  model.traverse((node) => {
+    if (node.isMesh) {
+      (Array.isArray(node.material) ? node.material : [node.material]).forEach((material) => {
+        if (material?.name && !byName.has(material.name)) {
+          byName.set(material.name, material);
+        }
+      });
+    }
+  });
+  return byName;
+}
+
+/**
+ * Warn once about node patterns the schema references that don't exist in this model
+ */
+function reportMissingNodes(model, options) {
+  const missing = new Set();
+  Object.values(options).forEach((choices) => {
+    Object.values(choices).forEach((effects) => {
+      [...(effects.show || []), ...(effects.hide || []), ...Object.keys(effects.materials || {})].forEach((pattern) => {
+        if (findNodes(model, pattern).length === 0) {
+          missing.add(pattern);
+        }
+      });
+    });
+  });
+  if (missing.size > 0) {
+    console.warn(`⚠️ Configurator nodes not found in model: ${[...missing].join(', ')}`);
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,448 @@
+import * as THREE from 'three';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { capturePose } from './initViewer.js';
+import { CONFIG } from './scrollTimeline.js';
+import { resolveLightingPresets } from './sceneManifest.js';
+import { toModelPose } from './modelPoses.js';
+import { QUALITY_TIERS } from './qualityGovernor.js';
+
+const LIGHT_FIELDS = ['keyIntensity', 'fillIntensity', 'rimIntensity', 'ambientIntensity'];
+const LIGHT_NODES = { keyIntensity: 'keyLight', fillIntensity: 'fillLight', rimIntensity: 'rimLight', ambientIntensity: 'hemiLight' };
+const SHORTCUTS = { d: 'collapse', o: 'orbit', p: 'print', 1: 'start', 2: 'end', k: 'author', c: 'path', l: 'lights', b: 'background', g: 'ground' };
+const STATS_INTERVAL = 500; // ms between readout refreshes
+
+/**
+ * Development debug panel, one per viewer (D collapses it)
+ *
+ * Shows FPS, draw calls, triangles, texture memory, scroll progress, the
+ * active pose and the quality tier. Live-edits the ScrollTrigger settings
+ * (mirrored into CONFIG), light intensities, exposure and HDRI, lists the
+ * scene graph with visibility toggles, and owns the debug shortcuts
+ * (O, P, 1/2, K, C, L, B, G).
+ *
+ * ScrollViewer imports this module behind `import.meta.env.DEV`, so
+ * production builds contain none of it.
+ * @param {ScrollViewer} viewer - Viewer to inspect (read live, so parts that load later show up)
+ * @returns {{ setStatus: Function, frame: Function, dispose: Function }}
+ */
+export function createDebugPanel(viewer) {
+  const { scene, renderer, camera, cameraRig, controls, manifest } = viewer;
+  const panel = createPanel(viewer.canvas.parentElement, manifest.name);
+  const body = panel.querySelector('[data-role="body"]');
+  const status = panel.querySelector('[data-role="status"]');
+  const stats = panel.querySelector('[data-role="stats"]');
+  const tree = panel.querySelector('[data-role="tree"]');
+  const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+
+  const customPresets = {};
+  let frames = 0;
+  let lastStats = performance.now();
+  let drawCalls = 0;
+  let triangles = 0;
+  let lightsVisible = true;
+  let savedBackground = null;
+
+  // Counters add up over every render() of a frame (shadow, contact shadow, composer passes); frame() resets them
+  renderer.info.autoReset = false;
+
+  const updateStats = (fps) => {
+    const progress = viewer.getProgress();
+    const scrollTrigger = viewer.timeline?.scrollTrigger;
+    const quality = viewer.getQuality();
+    stats.textContent = [
+      `FPS ${fps.toFixed(0)} (${(1000 / fps).toFixed(1)} ms, drawn frames)`,
+      `Draw calls ${drawCalls} · ${triangles.toLocaleString()} tris`,
+      `Textures ${renderer.info.memory.textures} · ≈${(estimateTextureBytes(scene) / 1048576).toFixed(1)} MB`,
+      `Progress ${progress.toFixed(3)}${scrollTrigger ? ` · scroll ${scrollTrigger.progress.toFixed(3)}` : ''}`,
+      `Pose ${activePose(viewer.keyframes, progress)}`,
+      `Quality ${quality ? `${quality.tier}${quality.auto ? ' (auto)' : ''}` : '-'}`,
+    ].join('\n');
+  };
+
+  /**
+   * Call after every drawn frame: samples the renderer counters, refreshes the readout twice a second
+   */
+  const frame = () => {
+    frames++;
+    drawCalls = renderer.info.render.calls;
+    triangles = renderer.info.render.triangles;
+    renderer.info.reset();
+    const now = performance.now();
+    if (now - lastStats >= STATS_INTERVAL && !body.hidden) {
+      updateStats((frames * 1000) / (now - lastStats));
+      frames = 0;
+      lastStats = now;
+    }
+  };
+
+  const setStatus = (message) => {
+    status.textContent = message;
+  };
+
+  /**
+   * Copy the live values into the edit fields (on open, so sliders don't jump while dragged)
+   */
+  const syncFields = () => {
+    field('exposure').value = renderer.toneMappingExposure;
+    const lights = viewer.lighting?.lights;
+    LIGHT_FIELDS.forEach((key) => {
+      field(key).value = lights ? lights[LIGHT_NODES[key]].intensity : 0;
+      field(key).disabled = !lights;
+    });
+    const names = viewer.lighting ? viewer.lighting.getPresetNames() : [];
+    field('preset').innerHTML = names.map((name) => `<option ${name === viewer.getLighting() ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('');
+    const { start, end, scrub } = manifest.scrollTrigger;
+    field('start').value = start;
+    field('end').value = end;
+    field('scrub').value = String(scrub);
+    field('quality').value = viewer.getQuality()?.auto ? 'auto' : viewer.getQuality()?.tier ?? 'auto';
+  };
+
+  /**
+   * Rebuild the timeline with new ScrollTrigger settings
+   * CONFIG holds the code defaults behind the manifest's scrollTrigger, so it's kept in step for copying back into scrollTimeline.js.
+   */
+  const setScrollTrigger = (values) => {
+    const st = Object.assign(manifest.scrollTrigger, values);
+    CONFIG.TRIGGER_START = st.start;
+    CONFIG.TRIGGER_END = st.end;
+    CONFIG.PIN_DISTANCE = st.end;
+    CONFIG.SCRUB_SMOOTHING = st.scrub;
+    CONFIG.DEBUG = st.markers;
+    viewer.setKeyframes(viewer.keyframes);
+    ScrollTrigger.refresh();
+    console.log('🧭 ScrollTrigger CONFIG:', JSON.stringify(CONFIG));
+  };
+
+  /**
+   * Try another HDRI: a copy of the current preset with that file, added as hdri-1, hdri-2...
+   */
+  const setHDRI = (url) => {
+    if (!viewer.lighting) {
+      return;
+    }
+    const current = viewer.getLighting();
+    const base = customPresets[current] ?? resolveLightingPresets(manifest.lighting, manifest.renderer)[current];
+    const name = `hdri-${Object.keys(customPresets).length + 1}`;
+    customPresets[name] = { ...base, hdri: url || null };
+    viewer.lighting.addPreset(name, customPresets[name]);
+    viewer.setLighting(name).then(syncFields);
+  };
+
+  const toggleLights = () => {
+    lightsVisible = !lightsVisible;
+    scene.traverse((node) => {
+      if (node.isLight) {
+        node.visible = lightsVisible;
+      }
+    });
+    console.log(`💡 Lights ${lightsVisible ? 'ON' : 'OFF'}`);
+  };
+
+  const toggleBackground = () => {
+    if (savedBackground) {
+      scene.background = savedBackground;
+      savedBackground = null;
+      console.log('🎨 Background: scene');
+    } else {
+      savedBackground = scene.background;
+      scene.background = new THREE.Color(0x000000);
+      console.log('🎨 Background: Black');
+    }
+  };
+
+  const printPose = () => {
+    const pose = capturePose(cameraRig, camera, controls);
+    console.log('📸 POSE CAPTURED (add it to a keyframe in the scene manifest\'s keyframes, or use the authoring panel\'s Capture view + Export):');
+    console.log(JSON.stringify(pose, null, 2));
+    if (manifest.poseSpace !== 'world') {
+      console.log('📐 Same pose relative to the model (for this manifest\'s poseSpace):');
+      console.log(JSON.stringify(toModelPose(pose, manifest.poseSpace, viewer.modelFrame), null, 2));
+    }
+  };
+
+  const renderTree = () => {
+    tree.innerHTML = '';
+    tree.appendChild(buildNode(scene));
+  };
+
+  const actions = {
+    collapse: () => {
+      body.hidden = !body.hidden;
+      panel.querySelector('[data-action="collapse"]').setAttribute('aria-expanded', String(!body.hidden));
+    },
+    orbit: () => {
+      controls.enabled = !controls.enabled;
+      console.log(`🎮 OrbitControls ${controls.enabled ? 'ENABLED' : 'DISABLED'}`);
+    },
+    start: () => {
+      viewer.applyPose(viewer.keyframes[0]);
+      console.log('🎯 Applied START pose');
+    },
+    end: () => {
+      viewer.applyPose(viewer.keyframes[viewer.keyframes.length - 1]);
+      console.log('🎯 Applied END pose');
+    },
+    print: printPose,
+    author: () => viewer.authoring?.toggle(),
+    path: () => viewer.togglePathHelper(),
+    lights: toggleLights,
+    background: toggleBackground,
+    ground: () => viewer.toggleGround(),
+    markers: () => setScrollTrigger({ markers: !manifest.scrollTrigger.markers }),
+    refresh: renderTree,
+  };
+
+  const run = (action) => {
+    actions[action]();
+    viewer.invalidate();
+  };
+
+  // Buttons
+  panel.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action) {
+      run(action);
+    }
+  });
+
+  // Live edits
+  panel.addEventListener('input', (e) => {
+    const name = e.target.dataset.field;
+    const value = parseFloat(e.target.value);
+    if (name === 'exposure') {
+      renderer.toneMappingExposure = value;
+    } else if (LIGHT_FIELDS.includes(name)) {
+      viewer.lighting?.lights.update({ [name]: value });
+    } else if (name === 'rotation') {
+      viewer.setEnvironmentRotation(value);
+    } else {
+      return;
+    }
+    viewer.invalidate();
+  });
+
+  panel.addEventListener('change', (e) => {
+    const name = e.target.dataset.field;
+    const { value } = e.target;
+    if (name === 'preset') {
+      viewer.setLighting(value).then(syncFields);
+    } else if (name === 'hdri') {
+      setHDRI(value.trim());
+    } else if (name === 'quality') {
+      viewer.setQuality(value);
+    } else if (name === 'start' || name === 'end') {
+      setScrollTrigger({ [name]: value.trim() });
+    } else if (name === 'scrub') {
+      const scrub = value === 'true' || value === 'false' ? value === 'true' : parseFloat(value);
+      if (typeof scrub === 'number' && !(scrub >= 0)) {
+        console.warn(`⚠️ scrub must be true, false or seconds of smoothing (got "${value}")`);
+        return;
+      }
+      setScrollTrigger({ scrub });
+    }
+  });
+
+  // Scene graph: built when opened, visibility checkboxes (model parts refit the ground)
+  panel.querySelector('[data-role="graph"]').addEventListener('toggle', (e) => {
+    if (e.target.open && !tree.hasChildNodes()) {
+      renderTree();
+    }
+  });
+  tree.addEventListener('change', (e) => {
+    const node = scene.getObjectByProperty('uuid', e.target.dataset.uuid);
+    if (!node) {
+      return;
+    }
+    node.visible = e.target.checked;
+    if (viewer.model && isInside(node, viewer.model)) {
+      viewer.fitGround();
+    }
+    viewer.invalidate();
+  });
+  panel.querySelectorAll('details:not([data-role="graph"])').forEach((details) => {
+    details.addEventListener('toggle', () => details.open && syncFields());
+  });
+
+  // Debug shortcuts (ignored while typing into panel fields, or when another viewer is in view)
+  const handleKeydown = (e) => {
+    if (e.target.closest?.('input, textarea, select') || !viewer.isInView()) {
+      return;
+    }
+    const action = SHORTCUTS[e.key.toLowerCase()];
+    if (action) {
+      run(action);
+    }
+  };
+  window.addEventListener('keydown', handleKeydown);
+
+  setStatus(viewer.status);
+  updateStats(0);
+
+  const dispose = () => {
+    window.removeEventListener('keydown', handleKeydown);
+    renderer.info.autoReset = true;
+    panel.remove();
+  };
+
+  return { setStatus, frame, dispose };
+}
+
+/**
+ * Panel markup (inside the viewer, so each instance has its own)
+ */
+function createPanel(container, name) {
+  const div = document.createElement('div');
+  div.className = 'debug-panel';
+  div.style.cssText = `
+    position: absolute;
+    top: 20px;
+    right: 20px;
+    width: 280px;
+    padding: 12px 16px;
+    background: rgba(0, 0, 0, 0.8);
+    color: #fff;
+    font-family: 'Courier New', monospace;
+    font-size: 12px;
+    border-radius: 4px;
+    z-index: 1000;
+    max-height: calc(100% - 40px);
+    overflow-y: auto;
+  `;
+  const range = (fieldName, label, min, max, step) => `
+    <label style="display: flex; justify-content: space-between; gap: 8px;">${label}
+      <input data-field="${fieldName}" type="range" min="${min}" max="${max}" step="${step}" style="width: 140px;">
+    </label>`;
+  const text = (fieldName, label) => `
+    <label style="display: flex; justify-content: space-between; gap: 8px; margin-top: 4px;">${label}
+      <input data-field="${fieldName}" style="width: 140px;">
+    </label>`;
+
+  div.innerHTML = `
+    <button data-action="collapse" aria-expanded="true" title="D" style="width: 100%; text-align: left; font-weight: bold;">🛠️ Debug · ${escapeHtml(name)}</button>
+    <div data-role="body">
+      <div data-role="status" style="margin: 8px 0;"></div>
+      <div data-role="stats" style="white-space: pre; line-height: 1.6; color: #ccc;"></div>
+      <div style="display: flex; flex-wrap: wrap; gap: 4px; margin: 8px 0;">
+        <button data-action="orbit" title="O">Orbit</button>
+        <button data-action="start" title="1">Start</button>
+        <button data-action="end" title="2">End</button>
+        <button data-action="print" title="P">Print pose</button>
+        <button data-action="author" title="K">Author</button>
+        <button data-action="path" title="C">Path</button>
+        <button data-action="lights" title="L">Lights</button>
+        <button data-action="background" title="B">Background</button>
+        <button data-action="ground" title="G">Ground</button>
+        <button data-action="markers">Markers</button>
+      </div>
+      <details>
+        <summary>Lighting</summary>
+        ${range('exposure', 'Exposure', 0, 3, 0.01)}
+        ${LIGHT_FIELDS.map((key) => range(key, key.replace('Intensity', ''), 0, 5, 0.05)).join('')}
+        <label style="display: flex; justify-content: space-between; gap: 8px; margin-top: 4px;">Preset
+          <select data-field="preset" style="width: 140px;"></select>
+        </label>
+        ${text('hdri', 'HDRI')}
+        ${range('rotation', 'Rotation', -3.1416, 3.1416, 0.01)}
+      </details>
+      <details>
+        <summary>ScrollTrigger (CONFIG)</summary>
+        ${text('start', 'start')}
+        ${text('end', 'end')}
+        ${text('scrub', 'scrub')}
+      </details>
+      <details>
+        <summary>Quality</summary>
+        <select data-field="quality" style="width: 100%; margin-top: 4px;">
+          ${['auto', ...Object.keys(QUALITY_TIERS)].map((tier) => `<option>${tier}</option>`).join('')}
+        </select>
+      </details>
+      <details data-role="graph">
+        <summary>Scene graph</summary>
+        <button data-action="refresh" style="margin: 4px 0;">Refresh</button>
+        <div data-role="tree"></div>
+      </details>
+    </div>
+  `;
+  container.appendChild(div);
+  return div;
+}
+
+/**
+ * One scene graph entry: a visibility checkbox, with children in a nested <details>
+ */
+function buildNode(node) {
+  const label = `<input type="checkbox" data-uuid="${node.uuid}" ${node.visible ? 'checked' : ''}> ${escapeHtml(node.name || '(unnamed)')} <span style="color: #888;">${node.type}</span>`;
+  if (node.children.length === 0) {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: block; padding-left: 14px;';
+    row.innerHTML = label;
+    return row;
+  }
+  const details = document.createElement('details');
+  details.innerHTML = `<summary>${label} <span style="color: #888;">(${node.children.length})</span></summary>`;
+  const children = document.createElement('div');
+  children.style.paddingLeft = '12px';
+  node.children.forEach((child) => children.appendChild(buildNode(child)));
+  details.appendChild(children);
+  return details;
+}
+
+/**
+ * Keyframe reached at a progress, or "A → B" between two
+ */
+function activePose(keyframes, progress) {
+  const index = keyframes.findLastIndex((kf) => kf.progress <= progress + 1e-4);
+  if (index === -1) {
+    return '-';
+  }
+  const next = keyframes[index + 1];
+  return !next || Math.abs(keyframes[index].progress - progress) < 1e-4
+    ? keyframes[index].name
+    : `${keyframes[index].name} → ${next.name}`;
+}
+
+/**
+ * Rough GPU memory of the scene's textures (material maps, environment, background)
+ * Uncompressed textures count 4 bytes per texel (8 half float, 16 float) plus a third for mipmaps.
+ */
+function estimateTextureBytes(scene) {
+  const textures = new Set();
+  const add = (value) => {
+    if (value?.isTexture) {
+      textures.add(value);
+    }
+  };
+  add(scene.environment);
+  add(scene.background);
+  scene.traverse((node) => {
+    const materials = Array.isArray(node.material) ? node.material : [node.material];
+    materials.filter(Boolean).forEach((material) => Object.values(material).forEach(add));
+  });
+
+  let bytes = 0;
+  textures.forEach((texture) => {
+    if (texture.isCompressedTexture) {
+      bytes += texture.mipmaps.reduce((sum, mip) => sum + (mip.data?.byteLength ?? 0), 0);
+      return;
+    }
+    const images = Array.isArray(texture.image) ? texture.image : [texture.image];
+    const texels = images.reduce((sum, image) => sum + (image?.width ?? 0) * (image?.height ?? 0), 0);
+    const texel = { [THREE.FloatType]: 16, [THREE.HalfFloatType]: 8 }[texture.type] ?? 4;
+    bytes += texels * texel * (texture.generateMipmaps ? 4 / 3 : 1);
+  });
+  return bytes;
+}
+
+function isInside(node, root) {
+  for (let current = node; current; current = current.parent) {
+    if (current === root) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function escapeHtml(value = '') {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
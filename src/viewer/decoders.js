@@ -0,0 +1,165 @@
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+/**
+ * Decoders for compressed glTF: DRACO meshes, meshopt buffers, KTX2/Basis textures
+ *
+ * Everything is self-hosted - no CDN requests, so models load offline and
+ * under a strict CSP. DRACO and Basis ship as wasm in public/decoders (copied
+ * out of three by scripts/copy-decoders.mjs); the meshopt decoder is bundled.
+ */
+
+const BASE_URL = import.meta.env?.BASE_URL ?? '/';
+
+/**
+ * Default decoder locations (overridable per scene via manifest `decoders`)
+ */
+export const DECODER_DEFAULTS = {
+  draco: `${BASE_URL}decoders/draco/`,
+  basis: `${BASE_URL}decoders/basis/`,
+};
+
+/**
+ * glTF extensions GLTFLoader handles, and the decoder each compressed one needs
+ */
+const NATIVE_EXTENSIONS = [
+  'KHR_lights_punctual',
+  'KHR_materials_anisotropy',
+  'KHR_materials_clearcoat',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_ior',
+  'KHR_materials_iridescence',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_unlit',
+  'KHR_materials_variants',
+  'KHR_materials_volume',
+  'KHR_mesh_quantization',
+  'KHR_texture_transform',
+  'EXT_materials_bump',
+  'EXT_mesh_gpu_instancing',
+  'EXT_texture_avif',
+  'EXT_texture_webp',
+];
+const DECODER_EXTENSIONS = {
+  KHR_draco_mesh_compression: 'draco',
+  EXT_meshopt_compression: 'meshopt',
+  KHR_texture_basisu: 'ktx2',
+};
+
+/**
+ * Create the decoders for one renderer
+ * Keep the instance for the viewer's lifetime (variant textures may need KTX2 later) and dispose it on teardown.
+ * @param {THREE.WebGLRenderer} renderer - Needed to pick a KTX2 transcode target (omit to skip KTX2)
+ * @param {Object} paths - { draco, basis } decoder directories (defaults to DECODER_DEFAULTS)
+ * @param {THREE.LoadingManager} manager - Optional loading manager for decoder downloads
+ * @returns {{ paths: Object, attach: Function, check: Function, dispose: Function }}
+ */
+export function createDecoders(renderer = null, paths = {}, manager = undefined) {
+  const resolved = { ...DECODER_DEFAULTS, ...paths };
+
+  const draco = new DRACOLoader(manager);
+  draco.setDecoderPath(resolved.draco);
+
+  let ktx2 = null;
+  if (renderer) {
+    ktx2 = new KTX2Loader(manager);
+    ktx2.setTranscoderPath(resolved.basis);
+    ktx2.detectSupport(renderer);
+  }
+
+  const available = { draco: true, meshopt: true, ktx2: Boolean(ktx2) };
+
+  /**
+   * Wire the decoders into a GLTFLoader
+   */
+  const attach = (loader) => {
+    loader.setDRACOLoader(draco);
+    loader.setMeshoptDecoder(MeshoptDecoder);
+    if (ktx2) {
+      loader.setKTX2Loader(ktx2);
+    }
+    return loader;
+  };
+
+  /**
+   * Throw a readable error if the model requires an extension we can't decode
+   * @param {Object} json - glTF JSON (from readGltfJson)
+   * @param {string} source - Model URL (for the message)
+   */
+  const check = (json, source) => {
+    const required = json.extensionsRequired || [];
+    const missing = required.filter((name) => {
+      const decoder = DECODER_EXTENSIONS[name];
+      return decoder ? !available[decoder] : !NATIVE_EXTENSIONS.includes(name);
+    });
+    if (missing.length > 0) {
+      const reasons = missing.map((name) => (DECODER_EXTENSIONS[name]
+        ? `${name} (needs the ${DECODER_EXTENSIONS[name]} decoder, which isn't configured)`
+        : `${name} (not supported by GLTFLoader)`));
+      throw new Error(`Model "${source}" requires glTF extensions this viewer can't decode: ${reasons.join(', ')}`);
+    }
+
+    const used = json.extensionsUsed || [];
+    const compressed = used.filter((name) => DECODER_EXTENSIONS[name]);
+    if (compressed.length > 0) {
+      console.log(`🗜️  Compressed glTF: ${compressed.join(', ')}`);
+    }
+    return compressed;
+  };
+
+  const dispose = () => {
+    draco.dispose();
+    ktx2?.dispose();
+  };
+
+  return { paths: resolved, attach, check, dispose };
+}
+
+/**
+ * Explain a decode failure for a model that uses compressed extensions
+ * @param {Error} error - Original GLTFLoader / decoder error
+ * @param {string[]} compressed - Compressed extensions the model uses (from check)
+ * @param {Object} paths - Decoder paths in use
+ * @returns {Error}
+ */
+export function describeDecodeError(error, compressed, paths) {
+  if (compressed.length === 0) {
+    return error;
+  }
+  const where = compressed.map((name) => {
+    const decoder = DECODER_EXTENSIONS[name];
+    if (decoder === 'draco') {
+      return `${name} → ${paths.draco}`;
+    }
+    if (decoder === 'ktx2') {
+      return `${name} → ${paths.basis}`;
+    }
+    return `${name} → bundled decoder`;
+  });
+  const described = new Error(`Could not decode compressed model data (${where.join(', ')}). Check the decoder files are served at those paths. ${error.message}`);
+  described.cause = error;
+  return described;
+}
+
+/**
+ * Read the JSON of a .glb (JSON chunk) or .gltf (whole file) without parsing the rest
+ * @param {ArrayBuffer} buffer - Model file contents
+ * @returns {Object|null} glTF JSON, or null if the buffer isn't glTF
+ */
+export function readGltfJson(buffer) {
+  const decoder = new TextDecoder();
+  try {
+    const view = new DataView(buffer);
+    const isBinary = buffer.byteLength >= 20 && view.getUint32(0, true) === 0x46546C67; // 'glTF'
+    if (isBinary) {
+      const jsonLength = view.getUint32(12, true);
+      return JSON.parse(decoder.decode(new Uint8Array(buffer, 20, jsonLength)));
+    }
+    return JSON.parse(decoder.decode(buffer));
+  } catch (error) {
+    return null;
+  }
+}
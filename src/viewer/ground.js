@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { HorizontalBlurShader } from 'three/examples/jsm/shaders/HorizontalBlurShader.js';
+import { VerticalBlurShader } from 'three/examples/jsm/shaders/VerticalBlurShader.js';
+
+/**
+ * Ground under the model, fitted to its visible bounds
+ *
+ * - Shadow catcher: a ShadowMaterial plane that only shows the key light's shadow
+ * - Contact shadow: the model rendered from below as a depth-faded silhouette,
+ *   blurred and laid on the ground. It darkens where parts sit close to the
+ *   floor (tires, skirts), like ambient occlusion, without a crisp light direction.
+ *
+ * fit() re-places both after the model loads or a configuration change shows
+ * or hides parts. The contact shadow only re-renders on render() (e.g. while
+ * clips move parts), not every frame.
+ */
+
+const _box = new THREE.Box3();
+const _size = new THREE.Vector3();
+const _center = new THREE.Vector3();
+
+/**
+ * World bounds of a model's visible meshes (hidden configuration parts don't count)
+ * @param {THREE.Object3D} model - Model root
+ * @returns {THREE.Box3} Empty when nothing is visible
+ */
+export function getVisibleBounds(model) {
+  const bounds = new THREE.Box3();
+  model.updateWorldMatrix(true, true);
+  model.traverseVisible((node) => {
+    if (!node.isMesh) {
+      return;
+    }
+    if (!node.geometry.boundingBox) {
+      node.geometry.computeBoundingBox();
+    }
+    bounds.union(_box.copy(node.geometry.boundingBox).applyMatrix4(node.matrixWorld));
+  });
+  return bounds;
+}
+
+/**
+ * Create the ground (call fit() once the model is in)
+ * @param {THREE.Scene} scene - Scene to add the ground to
+ * @param {THREE.WebGLRenderer} renderer - Renderer (draws the contact shadow)
+ * @param {Object} opts - { shadowCatcher: { enabled, offset, size (null: 4 × model radius), opacity }, contactShadow: { enabled, opacity, blur, darkness, height (× model height), resolution, padding (× footprint) } }
+ * @returns {{ group: THREE.Group, fit: Function, render: Function, setVisible: Function, dispose: Function }}
+ */
+export function createGround(scene, renderer, opts = {}) {
+  const { shadowCatcher = {}, contactShadow = {} } = opts;
+  const { offset = 0.02 } = shadowCatcher;
+  const group = new THREE.Group();
+  group.name = 'Ground';
+  scene.add(group);
+
+  let catcher = null;
+  if (shadowCatcher.enabled) {
+    catcher = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2),
+      new THREE.ShadowMaterial({ opacity: shadowCatcher.opacity ?? 0.2, depthWrite: false })
+    );
+    catcher.receiveShadow = true;
+    group.add(catcher);
+  }
+
+  const contact = contactShadow.enabled ? createContactShadow(group, renderer, contactShadow) : null;
+
+  /**
+   * Place the ground under the given bounds and resize it to them
+   * @param {THREE.Box3} bounds - Visible model bounds (see getVisibleBounds)
+   */
+  const fit = (bounds) => {
+    if (bounds.isEmpty()) {
+      return;
+    }
+    bounds.getSize(_size);
+    bounds.getCenter(_center);
+    const radius = _size.length() / 2;
+    group.position.set(_center.x, bounds.min.y - offset, _center.z);
+    group.updateMatrixWorld(true);
+
+    if (catcher) {
+      catcher.scale.setScalar(shadowCatcher.size ?? radius * 4);
+    }
+    contact?.resize(_size.x, _size.z, _size.y);
+    render();
+    console.log(`✅ Ground fitted at y=${group.position.y.toFixed(3)}${contact ? ' (contact shadow)' : ''}`);
+  };
+
+  /**
+   * Re-render the contact shadow (after the model moved or changed shape)
+   */
+  const render = () => {
+    if (contact && group.visible) {
+      contact.render(scene);
+    }
+  };
+
+  const setVisible = (visible) => {
+    group.visible = visible;
+    render();
+  };
+
+  const dispose = () => {
+    contact?.dispose();
+    if (catcher) {
+      catcher.geometry.dispose();
+      catcher.material.dispose();
+    }
+    group.removeFromParent();
+  };
+
+  return { group, fit, render, setVisible, dispose };
+}
+
+/**
+ * Contact shadow after three.js's webgl_shadow_contact example: an orthographic
+ * camera looks up from the ground, renders the scene as depth-faded black, and
+ * two blur passes soften it into a render target shown on a plane.
+ */
+function createContactShadow(group, renderer, opts = {}) {
+  const {
+    opacity = 0.7,
+    blur = 2.5,
+    darkness = 1.5,
+    height = 0.4,
+    resolution = 512,
+    padding = 1.5,
+  } = opts;
+
+  const renderTarget = new THREE.WebGLRenderTarget(resolution, resolution);
+  renderTarget.texture.generateMipmaps = false;
+  const blurTarget = new THREE.WebGLRenderTarget(resolution, resolution);
+  blurTarget.texture.generateMipmaps = false;
+
+  // Shadow plane, lying on the ground and facing up
+  const plane = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1).rotateX(Math.PI / 2),
+    new THREE.MeshBasicMaterial({ map: renderTarget.texture, opacity, transparent: true, depthWrite: false })
+  );
+  plane.renderOrder = 1;
+  plane.scale.y = -1;
+  group.add(plane);
+
+  // Blur plane, only visible during the blur passes
+  const blurPlane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1));
+  blurPlane.rotation.x = Math.PI / 2;
+  blurPlane.visible = false;
+  group.add(blurPlane);
+
+  const camera = new THREE.OrthographicCamera(-0.5, 0.5, 0.5, -0.5, 0, 1);
+  camera.rotation.x = Math.PI / 2; // Look up from the ground
+  group.add(camera);
+
+  // Silhouette that fades out with height above the ground
+  const depthMaterial = new THREE.MeshDepthMaterial();
+  depthMaterial.userData.darkness = { value: darkness };
+  depthMaterial.onBeforeCompile = (shader) => {
+    shader.uniforms.darkness = depthMaterial.userData.darkness;
+    shader.fragmentShader = `uniform float darkness;\n${shader.fragmentShader.replace(
+      'gl_FragColor = vec4( vec3( 1.0 - fragCoordZ ), opacity );',
+      'gl_FragColor = vec4( vec3( 0.0 ), ( 1.0 - fragCoordZ ) * darkness );'
+    )}`;
+  };
+  depthMaterial.depthTest = false;
+  depthMaterial.depthWrite = false;
+
+  const horizontalBlur = new THREE.ShaderMaterial(HorizontalBlurShader);
+  horizontalBlur.depthTest = false;
+  const verticalBlur = new THREE.ShaderMaterial(VerticalBlurShader);
+  verticalBlur.depthTest = false;
+
+  const blurPass = (amount) => {
+    blurPlane.visible = true;
+
+    blurPlane.material = horizontalBlur;
+    horizontalBlur.uniforms.tDiffuse.value = renderTarget.texture;
+    horizontalBlur.uniforms.h.value = amount / 256;
+    renderer.setRenderTarget(blurTarget);
+    renderer.render(blurPlane, camera);
+
+    blurPlane.material = verticalBlur;
+    verticalBlur.uniforms.tDiffuse.value = blurTarget.texture;
+    verticalBlur.uniforms.v.value = amount / 256;
+    renderer.setRenderTarget(renderTarget);
+    renderer.render(blurPlane, camera);
+
+    blurPlane.visible = false;
+  };
+
+  /**
+   * Size the shadow to the model's footprint
+   * @param {number} width - Footprint along X
+   * @param {number} depth - Footprint along Z
+   * @param {number} modelHeight - Model height (occluders fade out at height × this)
+   */
+  const resize = (width, depth, modelHeight) => {
+    const w = Math.max(width, depth * 0.25) * padding;
+    const d = Math.max(depth, width * 0.25) * padding;
+    plane.scale.set(w, -1, d);
+    blurPlane.scale.set(w, d, 1);
+    camera.left = -w / 2;
+    camera.right = w / 2;
+    camera.top = d / 2;
+    camera.bottom = -d / 2;
+    camera.far = Math.max(modelHeight * height, 0.01);
+    camera.updateProjectionMatrix();
+  };
+
+  const render = (scene) => {
+    const background = scene.background;
+    const clearAlpha = renderer.getClearAlpha();
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    const target = renderer.getRenderTarget();
+
+    // Only the model: no background, no ground, no shadow-map pass
+    group.visible = false;
+    scene.background = null;
+    scene.overrideMaterial = depthMaterial;
+    renderer.shadowMap.autoUpdate = false;
+    renderer.setClearAlpha(0);
+
+    renderer.setRenderTarget(renderTarget);
+    renderer.render(scene, camera);
+    scene.overrideMaterial = null;
+    group.visible = true;
+
+    blurPass(blur);
+    blurPass(blur * 0.4); // A second, finer pass smooths the first one's artifacts
+
+    renderer.setRenderTarget(target);
+    renderer.setClearAlpha(clearAlpha);
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    scene.background = background;
+  };
+
+  const dispose = () => {
+    renderTarget.dispose();
+    blurTarget.dispose();
+    plane.geometry.dispose();
+    plane.material.dispose();
+    blurPlane.geometry.dispose();
+    depthMaterial.dispose();
+    horizontalBlur.dispose();
+    verticalBlur.dispose();
+  };
+
+  return { resize, render, dispose };
+}
@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+
+/**
+ * DOM hotspots anchored to model nodes
+ *
+ * Each hotspot is a button laid over the canvas and re-projected every frame:
+ *
+ *   {
+ *     id: 'drawer-lock',
+ *     node: 'Drawer_Lock',              // anchor node (defaults to the model root)
+ *     position: { x: 0, y: 0.1, z: 0 }, // local-space offset from the node
+ *     normal: { x: 0, y: 0, z: 1 },     // optional: hide when facing away
+ *     label: 'Lockable drawer',
+ *     description: 'Keyed lock on every drawer',
+ *     icon: '🔒',
+ *     progress: [0.3, 0.7],             // optional scroll-progress window
+ *     pose: 'DRAWER'                    // optional keyframe to fly to on click
+ *   }
+ *
+ * Hotspots hide when outside their progress window, hidden (the node or any
+ * parent, e.g. a configurator variant switched off), behind the camera, facing
+ * away, or occluded by model geometry. Occlusion is only re-tested when the
+ * camera or the anchor moved since the last test, or after invalidate().
+ */
+
+const _world = new THREE.Vector3();
+const _ndc = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _toCamera = new THREE.Vector3();
+const _normalMatrix = new THREE.Matrix3();
+const _eye = new THREE.Vector3();
+
+/**
+ * Create hotspots for a loaded model
+ * @param {Object} viewer - { camera, model, container (element the canvas fills) }
+ * @param {Array} definitions - Hotspot definitions (see above)
+ * @param {Object} opts - { onClick(hotspot), occlusion (default true) }
+ * @returns {{ update: Function, invalidate: Function, dispose: Function, hotspots: Array }}
+ */
+export function createHotspots(viewer, definitions = [], opts = {}) {
+  const { camera, model, container } = viewer;
+  const { onClick, occlusion = true } = opts;
+
+  const layer = document.createElement('div');
+  layer.className = 'hotspots';
+  container.appendChild(layer);
+
+  const raycaster = new THREE.Raycaster();
+  const hotspots = definitions.map((def) => createHotspot(def, model, layer)).filter(Boolean);
+
+  const handleClick = (e) => {
+    const button = e.target.closest('[data-hotspot]');
+    const hotspot = button && hotspots.find((h) => h.def.id === button.dataset.hotspot);
+    if (!hotspot) {
+      return;
+    }
+    const active = button.classList.toggle('hotspot--open');
+    button.setAttribute('aria-expanded', String(active));
+    container.dispatchEvent(new CustomEvent('hotspotclick', { detail: { id: hotspot.def.id, hotspot: hotspot.def } }));
+    console.log(`📍 Hotspot clicked: ${hotspot.def.id}`);
+    if (onClick) {
+      onClick(hotspot.def);
+    }
+  };
+  layer.addEventListener('click', handleClick);
+
+  /**
+   * Re-project every hotspot (call once per frame, before render)
+   * @param {number} progress - Current scroll timeline progress (0 → 1)
+   */
+  const update = (progress = 0) => {
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    camera.updateMatrixWorld();
+
+    hotspots.forEach((hotspot) => {
+      const visible = isVisible(hotspot, progress, camera, raycaster, model, occlusion);
+      hotspot.el.classList.toggle('hotspot--hidden', !visible);
+      hotspot.el.tabIndex = visible ? 0 : -1;
+      if (visible) {
+        const x = (_ndc.x + 1) / 2 * width;
+        const y = (1 - _ndc.y) / 2 * height;
+        hotspot.el.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+      }
+    });
+  };
+
+  /**
+   * Re-test occlusion on the next update (call when model parts are shown, hidden or swapped)
+   */
+  const invalidate = () => {
+    hotspots.forEach((hotspot) => {
+      hotspot.occluded = null;
+    });
+  };
+
+  const dispose = () => {
+    layer.removeEventListener('click', handleClick);
+    layer.remove();
+  };
+
+  console.log(`📍 Hotspots created: ${hotspots.length}`);
+  return { update, invalidate, dispose, hotspots };
+}
+
+/**
+ * Resolve the anchor node and build the hotspot button
+ */
+function createHotspot(def, model, layer) {
+  const anchor = def.node ? model.getObjectByName(def.node) : model;
+  if (!anchor) {
+    console.warn(`⚠️ Hotspot "${def.id}" skipped: node "${def.node}" not in model`);
+    return null;
+  }
+
+  const el = document.createElement('button');
+  el.type = 'button';
+  el.className = 'hotspot hotspot--hidden';
+  el.dataset.hotspot = def.id;
+  el.setAttribute('aria-expanded', 'false');
+
+  const icon = document.createElement('span');
+  icon.className = 'hotspot__icon';
+  icon.textContent = def.icon || '+';
+  el.appendChild(icon);
+
+  const body = document.createElement('span');
+  body.className = 'hotspot__body';
+  const label = document.createElement('span');
+  label.className = 'hotspot__label';
+  label.textContent = def.label || def.id;
+  body.appendChild(label);
+  if (def.description) {
+    const description = document.createElement('span');
+    description.className = 'hotspot__description';
+    description.textContent = def.description;
+    body.appendChild(description);
+  }
+  el.appendChild(body);
+  layer.appendChild(el);
+
+  const local = def.position ? new THREE.Vector3(def.position.x, def.position.y, def.position.z) : new THREE.Vector3();
+  const normal = def.normal ? new THREE.Vector3(def.normal.x, def.normal.y, def.normal.z).normalize() : null;
+  // Last occlusion test: camera and hotspot positions, result (null = untested)
+  return { def, anchor, local, normal, el, eye: new THREE.Vector3(), from: new THREE.Vector3(), occluded: null };
+}
+
+/**
+ * Visibility test; leaves the projected position in _ndc when visible
+ */
+function isVisible(hotspot, progress, camera, raycaster, model, occlusion) {
+  const { def, anchor, local, normal } = hotspot;
+
+  if (def.progress && (progress < def.progress[0] || progress > def.progress[1])) {
+    return false;
+  }
+  if (!isShown(anchor)) {
+    return false;
+  }
+
+  anchor.updateWorldMatrix(true, false);
+  _world.copy(local).applyMatrix4(anchor.matrixWorld);
+  _ndc.copy(_world).project(camera);
+  if (_ndc.z > 1 || Math.abs(_ndc.x) > 1 || Math.abs(_ndc.y) > 1) {
+    return false; // Behind camera or off screen
+  }
+
+  camera.getWorldPosition(_eye);
+  _toCamera.subVectors(_eye, _world);
+  if (normal) {
+    _normal.copy(normal).applyMatrix3(_normalMatrix.getNormalMatrix(anchor.matrixWorld)).normalize();
+    if (_normal.dot(_toCamera) <= 0) {
+      return false; // Facing away
+    }
+  }
+
+  if (occlusion) {
+    if (hotspot.occluded === null || !hotspot.eye.equals(_eye) || !hotspot.from.equals(_world)) {
+      const distance = _toCamera.length();
+      raycaster.set(_world.clone().addScaledVector(_toCamera.normalize(), distance * 0.001), _toCamera);
+      raycaster.far = distance;
+      // Glass and other see-through meshes don't hide a hotspot
+      hotspot.occluded = raycaster.intersectObject(model, true).some(({ object }) => isShown(object) && !object.material?.transparent);
+      hotspot.eye.copy(_eye);
+      hotspot.from.copy(_world);
+    }
+    if (hotspot.occluded) {
+      return false; // Occluded by model geometry
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Visible itself and through every parent
+ */
+function isShown(object) {
+  let shown = object.visible;
+  object.traverseAncestors((parent) => {
+    shown = shown && parent.visible;
+  });
+  return shown;
+}
@@ -4,6 +4,8 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 
 /**
  * Initialize Three.js scene, camera, renderer with enhanced features
+ * Debug shortcuts and the status readout live in the development-only debug panel (debugPanel.js).
+ * @param {HTMLCanvasElement} canvasElement - Canvas to render into
  * @returns {Object} scene, camera, cameraRig, renderer, canvas, controls
  */
 export function initViewer(canvasElement) {
@@ -39,7 +41,7 @@ export function initViewer(canvasElement) {
   renderer.shadowMap.enabled = true;
   renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-  // OrbitControls for manual inspection (DISABLED by default, enable with O key)
+  // OrbitControls for manual inspection (DISABLED by default, enable with O in the debug panel)
   const controls = new OrbitControls(camera, renderer.domElement);
   controls.target.set(0, 0, 0);
   controls.autoRotate = false; // DISABLED - scroll-only animation
@@ -49,178 +51,44 @@ export function initViewer(canvasElement) {
   controls.enableZoom = true;
   controls.enablePan = true;
 
-  // Create status overlay
-  const statusDiv = createStatusOverlay();
-
-  // Setup keyboard controls (includes pose capture)
-  setupKeyboardControls(scene, renderer, controls, camera, cameraRig);
-
-  return { scene, camera, cameraRig, renderer, canvas: canvasElement, controls, statusDiv };
-}
-
-/**
- * Create status overlay UI
- */
-function createStatusOverlay() {
-  const div = document.createElement('div');
-  div.id = 'status-overlay';
-  div.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    padding: 12px 16px;
-    background: rgba(0, 0, 0, 0.7);
-    color: #fff;
-    font-family: 'Courier New', monospace;
-    font-size: 12px;
-    border-radius: 4px;
-    z-index: 1000;
-    line-height: 1.6;
-    max-width: 200px;
-  `;
-  div.innerHTML = `
-    <div>Loading model...</div>
-    <div style="font-size: 10px; margin-top: 8px; color: #888;">O: OrbitControls | 1/2: Apply Pose | P: Print | L/B/G: Toggles</div>
-  `;
-  document.body.appendChild(div);
-  return div;
+  return { scene, camera, cameraRig, renderer, canvas: canvasElement, controls };
 }
 
 /**
- * Update status message
+ * Auto-frame a pose that fits the bounding sphere in view
+ * Used as the START pose when a scene manifest gives no keyframes.
+ * @param {THREE.Sphere} sphere - Model bounding sphere
+ * @param {Object} opts - { fov (vertical, degrees), direction (from the center towards the camera), padding (× fitting distance) }
+ * @returns {Object} Pose with the rig at the origin, looking at the sphere center
  */
-export function updateStatus(statusDiv, message) {
-  if (statusDiv) {
-    const lines = statusDiv.innerHTML.split('<div style="font-size: 10px;')[0];
-    statusDiv.innerHTML = `<div>${message}</div><div style="font-size: 10px; margin-top: 8px; color: #888;">O: OrbitControls | 1/2: Apply Pose | P: Print | L/B/G: Toggles</div>`;
-  }
-}
-
-/**
- * Auto-frame camera to fit bounding sphere
- */
-export function autoFrame(camera, sphere, controls) {
-  if (!sphere) {
-    console.warn('No bounding sphere provided');
-    return;
-  }
+export function autoFrame(sphere, opts = {}) {
+  const { fov = 30, direction = { x: 0, y: 1, z: 1 }, padding = 1.5 } = opts;
 
   // Calculate distance to fit sphere in view
-  const vFOV = camera.fov * Math.PI / 180; // vertical field-of-view in radians
-  const distance = sphere.radius / Math.tan(vFOV / 2) * 1.5; // 1.5x padding
+  const vFOV = fov * Math.PI / 180; // vertical field-of-view in radians
+  const distance = sphere.radius / Math.tan(vFOV / 2) * padding;
 
   // Position camera looking at sphere center
-  const direction = new THREE.Vector3(0, 1, 1).normalize();
-  const cameraPos = sphere.center.clone().addScaledVector(direction, distance);
-  camera.position.copy(cameraPos);
-
-  // Update controls
-  controls.target.copy(sphere.center);
-  controls.update();
-
-  console.log(`📷 Camera framed | distance: ${distance.toFixed(2)}, target: (${sphere.center.x.toFixed(1)}, ${sphere.center.y.toFixed(1)}, ${sphere.center.z.toFixed(1)})`);
-}
-
-/**
- * Setup keyboard controls (including pose capture workflow)
- */
-function setupKeyboardControls(scene, renderer, controls, camera, cameraRig) {
-  let lightsVisible = true;
-  let groundVisible = false;
-  let bgColor = 0x1a1a1a;
-
-  let groundPlane = null;
-
-  window.addEventListener('keydown', (e) => {
-    switch (e.key.toLowerCase()) {
-      case 'o':
-        // Toggle OrbitControls
-        controls.enabled = !controls.enabled;
-        console.log(`🎮 OrbitControls ${controls.enabled ? 'ENABLED' : 'DISABLED'}`);
-        break;
-
-      case 'p':
-        // Print current pose as JSON for copy/paste into POSES
-        const pose = capturePose(cameraRig, camera, controls);
-        console.log('📸 POSE CAPTURED (copy this into scrollTimeline.js POSES):');
-        console.log(JSON.stringify(pose, null, 2));
-        break;
-
-      case '1':
-        if (window.__applyPoseStart) {
-          window.__applyPoseStart();
-          console.log('🎯 Applied START pose');
-        }
-        break;
-
-      case '2':
-        if (window.__applyPoseEnd) {
-          window.__applyPoseEnd();
-          console.log('🎯 Applied END pose');
-        }
-        break;
-
-      case 'l':
-        // Toggle studio lights
-        lightsVisible = !lightsVisible;
-        scene.children.forEach((child) => {
-          if (
-            child instanceof THREE.Light &&
-            child !== renderer.domElement // Skip any non-Light children
-          ) {
-            child.visible = lightsVisible;
-          }
-        });
-        console.log(`💡 Lights ${lightsVisible ? 'ON' : 'OFF'}`);
-        break;
-
-      case 'b':
-        // Toggle background
-        if (scene.background?.getHex?.() === bgColor) {
-          scene.background = new THREE.Color(0x000000);
-          console.log('🎨 Background: Black');
-        } else {
-          scene.background = new THREE.Color(bgColor);
-          console.log('🎨 Background: Dark gray');
-        }
-        break;
-
-      case 'g':
-        // Toggle ground plane
-        if (groundVisible && groundPlane) {
-          scene.remove(groundPlane);
-          groundPlane = null;
-        } else {
-          groundPlane = createGroundPlane();
-          scene.add(groundPlane);
-        }
-        groundVisible = !groundVisible;
-        console.log(`🟫 Ground plane ${groundVisible ? 'ON' : 'OFF'}`);
-        break;
-
-      default:
-        break;
-    }
-  });
-}
+  const offset = new THREE.Vector3(direction.x, direction.y, direction.z).normalize();
+  const cameraPos = sphere.center.clone().addScaledVector(offset, distance);
 
-/**
- * Create ground plane with shadow material
- */
-function createGroundPlane() {
-  const planeGeometry = new THREE.PlaneGeometry(20, 20);
-  const planeMaterial = new THREE.ShadowMaterial({ opacity: 0.4 });
-  const plane = new THREE.Mesh(planeGeometry, planeMaterial);
-  plane.rotation.x = -Math.PI / 2;
-  plane.position.y = -2;
-  plane.receiveShadow = true;
-  return plane;
+  console.log(`📷 Camera auto-framed | distance: ${distance.toFixed(2)}, target: (${sphere.center.x.toFixed(1)}, ${sphere.center.y.toFixed(1)}, ${sphere.center.z.toFixed(1)})`);
+  return {
+    rigPos: { x: 0, y: 0, z: 0 },
+    rigRot: { x: 0, y: 0, z: 0 },
+    camLocalPos: { x: cameraPos.x, y: cameraPos.y, z: cameraPos.z },
+    target: { x: sphere.center.x, y: sphere.center.y, z: sphere.center.z },
+    fov,
+  };
 }
 
 /**
  * Handle window resize
+ * @param {number|Function} maxPixelRatio - Upper bound for devicePixelRatio (or a function returning it, e.g. the current quality tier's)
+ * @param {Function} onResize - Optional callback after the renderer is resized (e.g. to request a render)
+ * @returns {Function} Removes the resize listener
  */
-export function setupResize(camera, renderer, canvas) {
+export function setupResize(camera, renderer, canvas, maxPixelRatio = 2, onResize = null) {
   const handleResize = () => {
     const width = canvas.clientWidth;
     const height = canvas.clientHeight;
@@ -229,32 +97,137 @@ export function setupResize(camera, renderer, canvas) {
     camera.updateProjectionMatrix();
 
     renderer.setSize(width, height);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    const cap = typeof maxPixelRatio === 'function' ? maxPixelRatio() : maxPixelRatio;
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, cap));
+    if (onResize) {
+      onResize();
+    }
   };
 
   window.addEventListener('resize', handleResize);
-  return handleResize;
+  return () => window.removeEventListener('resize', handleResize);
 }
 
 /**
  * Start render loop with controls update
+ * Pauses completely while the canvas is offscreen or the tab is hidden. In
+ * on-demand mode a frame is only drawn after invalidate(), while OrbitControls
+ * are still settling, while onFrame reports ongoing animation, or while a
+ * keepAlive() promise is pending.
+ * @param {Function} onFrame - Optional per-frame callback (delta seconds), e.g. animation mixers; return true while animating
+ * @param {Object} opts - { onDemand (default false), render() (draws a frame; defaults to renderer.render, e.g. a post-processing composer instead) }
+ * @returns {{ stop: Function, invalidate: Function, keepAlive: Function, whenRendered: Function }}
  */
-export function startRenderLoop(renderer, scene, camera, controls) {
+export function startRenderLoop(renderer, scene, camera, controls, onFrame, opts = {}) {
+  const { onDemand = false, render = () => renderer.render(scene, camera) } = opts;
+  const clock = new THREE.Clock();
+  let frameId = null;
+  let dirty = true;
+  let pending = 0;
+  let onScreen = true;
+  let stopped = false;
+  const renderWaiters = [];
+
+  const canRender = () => !stopped && onScreen && document.visibilityState === 'visible';
+
+  const schedule = () => {
+    if (frameId === null && canRender()) {
+      clock.getDelta(); // Don't count idle/paused time as animation time
+      frameId = requestAnimationFrame(animate);
+    }
+  };
+
   function animate() {
-    requestAnimationFrame(animate);
+    frameId = null;
+    const delta = clock.getDelta();
+    let animating = false;
     if (controls && controls.enabled) {
-      controls.update();
+      animating = controls.update() || animating;
+    }
+    if (onFrame) {
+      animating = onFrame(delta) === true || animating;
+    }
+    if (!onDemand || dirty || animating || pending > 0) {
+      render();
+      dirty = false;
+      renderWaiters.splice(0).forEach((resolve) => resolve());
+    }
+    if (!onDemand || animating || pending > 0) {
+      schedule();
     }
-    renderer.render(scene, camera);
   }
-  animate();
+
+  /**
+   * Mark the frame dirty and draw it on the next animation frame
+   */
+  const invalidate = () => {
+    dirty = true;
+    schedule();
+  };
+
+  /**
+   * Render every frame until a promise settles (e.g. an animated configuration change)
+   */
+  const keepAlive = (promise) => {
+    pending++;
+    schedule();
+    const release = () => {
+      pending--;
+      invalidate();
+    };
+    promise.then(release, release);
+    return promise;
+  };
+
+  /**
+   * Resolve after the next frame is drawn (waits while the canvas is offscreen)
+   */
+  const whenRendered = () => new Promise((resolve) => {
+    renderWaiters.push(resolve);
+    invalidate();
+  });
+
+  const pause = () => {
+    if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  };
+
+  const updateVisibility = () => {
+    if (canRender()) {
+      invalidate();
+    } else {
+      pause();
+    }
+  };
+
+  const observer = new IntersectionObserver(([entry]) => {
+    if (entry.isIntersecting !== onScreen) {
+      onScreen = entry.isIntersecting;
+      console.log(`${onScreen ? '▶️' : '⏸️'}  Rendering ${onScreen ? 'resumed' : 'paused'} (canvas ${onScreen ? 'on' : 'off'} screen)`);
+      updateVisibility();
+    }
+  });
+  observer.observe(renderer.domElement);
+  document.addEventListener('visibilitychange', updateVisibility);
+
+  const stop = () => {
+    stopped = true;
+    pause();
+    observer.disconnect();
+    document.removeEventListener('visibilitychange', updateVisibility);
+  };
+
+  schedule();
+  return { stop, invalidate, keepAlive, whenRendered };
 }
 
 /**
- * Capture current camera pose for copy/paste into POSES
+ * Capture current camera pose for a keyframe in the scene manifest's `keyframes` (or the authoring export)
  * Includes camera local position (zoom/dolly) which is critical for exact view reproduction
  */
-function capturePose(cameraRig, camera, controls) {
+export function capturePose(cameraRig, camera, controls) {
   const rigQuat = new THREE.Quaternion();
   cameraRig.getWorldQuaternion(rigQuat);
   
@@ -1,66 +1,300 @@
 import * as THREE from 'three';
+import gsap from 'gsap';
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
 
 /**
- * Apply HDRI environment lighting to scene
+ * Built-in lighting presets: HDRI, exposure, environment rotation, studio rig and background
+ * A scene's lighting.hdri / lighting.studio values replace `studio`, and
+ * lighting.presets adds or overrides others (see resolveLightingPresets).
+ * HDRIs aren't committed; a missing one falls back to RoomEnvironment.
+ */
+export const LIGHTING_PRESETS = {
+  studio: {
+    hdri: '/assets/hdri/studio_small_08_1k.hdr',
+    exposure: 1.3,
+    rotationY: 0,
+    background: '#1a1a1a',
+    lights: { keyIntensity: 2.8, fillIntensity: 0.9, rimIntensity: 1.6, ambientIntensity: 0.2 },
+  },
+  overcast: {
+    hdri: '/assets/hdri/overcast_soil_puresky_1k.hdr',
+    exposure: 1.0,
+    rotationY: 0,
+    background: '#b9bec4',
+    lights: { keyIntensity: 1.1, fillIntensity: 1.2, rimIntensity: 0.5, ambientIntensity: 0.6 },
+  },
+  night: {
+    hdri: '/assets/hdri/dikhololo_night_1k.hdr',
+    exposure: 0.9,
+    rotationY: Math.PI / 2,
+    background: '#07080b',
+    lights: { keyIntensity: 3.2, fillIntensity: 0.3, rimIntensity: 2.4, ambientIntensity: 0.05 },
+  },
+};
+
+// Matches the PMREM's own cube size, so sources aren't resampled twice
+const ENV_CUBE_SIZE = 256;
+
+/**
+ * Lighting controller: one preset at a time, crossfaded when it changes
+ *
+ * The environment is baked from a blend of the outgoing and incoming HDRI
+ * cube maps, rotated about Y, then prefiltered with PMREM, so the crossfade
+ * and the rotation both show up in reflections. Exposure, light intensities
+ * and the background tween alongside.
  * @param {THREE.WebGLRenderer} renderer - Renderer instance
  * @param {THREE.Scene} scene - Three.js scene
- * @param {Object} opts - Options { intensity, rotationY }
+ * @param {Object} opts - { presets (by name), preset (initial name), environment (false: lights only), duration (crossfade seconds), shadowMapSize, shadowBias, loading (from createLoadingManager, used for the first HDRI), instant() (true: switch without fading), onChange() (a new frame is needed) }
+ * @returns {{ ready: Promise, setPreset: Function, setRotation: Function, getPreset: Function, getPresetNames: Function, addPreset: Function, bindToTimeline: Function, update: Function, whenSettled: Function, lights: Object, dispose: Function }}
  */
-export async function applyHDRI(renderer, scene, opts = {}) {
-  const { intensity = 1.3, rotationY = 0 } = opts;
-
-  try {
-    const loader = new RGBELoader();
-    const hdriTexture = await new Promise((resolve, reject) => {
-      loader.load(
-        '/assets/hdri/studio_small_08_1k.hdr',
-        resolve,
-        undefined,
-        reject
-      );
+export function createLighting(renderer, scene, opts = {}) {
+  const {
+    presets: presetOptions = LIGHTING_PRESETS,
+    preset: initial = 'studio',
+    environment = true,
+    duration: defaultDuration = 0.8,
+    shadowMapSize,
+    shadowBias,
+    loading = null,
+    instant = () => false,
+    onChange = () => {},
+  } = opts;
+
+  const presets = { ...presetOptions };
+  const lights = applyStudioLights(scene, { ...presets[initial].lights, shadowMapSize, shadowBias });
+  const blend = environment ? createEnvironmentBlend(renderer) : null;
+  const sources = new Map(); // HDRI url → Promise<WebGLCubeRenderTarget|null>
+  const state = { exposure: renderer.toneMappingExposure, rotation: 0, mix: 0, ...presets[initial].lights };
+  const background = new THREE.Color();
+
+  let shown = null; // Source the environment rests on between fades
+  let target = null;
+  let tween = null;
+  let request = 0;
+  let settled = Promise.resolve();
+  let frames = [];
+  let disposed = false;
+
+  /**
+   * HDRI as a cube map, cached by URL (null URL or a failed load: RoomEnvironment)
+   */
+  const loadSource = (url, viaLoading = false) => {
+    if (!blend) {
+      return Promise.resolve(null);
+    }
+    const key = url || 'room';
+    if (!sources.has(key)) {
+      const source = url
+        ? loadHDRICube(renderer, url, viaLoading ? loading : null).catch(() => {
+          console.warn(`⚠️ HDRI ${url} not found, using RoomEnvironment fallback`);
+          return loadSource(null);
+        })
+        : createRoomCube(renderer).catch(() => {
+          console.warn('⚠️ RoomEnvironment also failed, studio lights only');
+          return null;
+        });
+      sources.set(key, source);
+    }
+    return sources.get(key);
+  };
+
+  const apply = () => {
+    renderer.toneMappingExposure = state.exposure;
+    lights.update(state);
+    if (blend && shown) {
+      scene.environment = blend.bake(state.mix, state.rotation);
+    }
+    onChange();
+  };
+
+  /**
+   * Fade from whatever is showing to a preset (seconds = 0 switches at once)
+   */
+  const fadeTo = (preset, source, seconds) => {
+    tween?.kill();
+    // A fade interrupted halfway restarts from whichever map dominated it
+    const from = state.mix >= 0.5 && blend?.incoming ? blend.incoming : shown;
+    if (blend && source) {
+      blend.setSources(from || source, source);
+    }
+    state.mix = 0;
+
+    const to = { exposure: preset.exposure, rotation: preset.rotationY, ...preset.lights, mix: 1 };
+    const fromColor = background.clone();
+    const toColor = new THREE.Color(preset.background);
+    const finish = () => {
+      tween = null;
+      if (blend && source) {
+        shown = source;
+        blend.setSources(source, source);
+      }
+      state.mix = 0;
+      background.copy(toColor);
+      apply();
+    };
+
+    if (seconds === 0) {
+      Object.assign(state, to);
+      scene.background = background;
+      finish();
+      return Promise.resolve();
+    }
+    shown = from;
+    return new Promise((resolve) => {
+      tween = gsap.to(state, {
+        ...to,
+        duration: seconds,
+        ease: 'power1.inOut',
+        onUpdate: function () {
+          background.lerpColors(fromColor, toColor, this.progress());
+          scene.background = background;
+          apply();
+        },
+        onComplete: () => {
+          finish();
+          resolve();
+        },
+        onInterrupt: resolve,
+      });
     });
+  };
 
-    // Generate environment map
-    const pmremGenerator = new THREE.PMREMGenerator(renderer);
-    const envMap = pmremGenerator.fromEquirectangular(hdriTexture);
-    pmremGenerator.dispose();
-    hdriTexture.dispose();
+  /**
+   * Switch to a named preset
+   * @param {string} name - Preset name
+   * @param {Object} setOpts - { duration (seconds; defaults to opts.duration) }
+   * @returns {Promise<void>} Resolves when the preset is fully shown
+   */
+  const setPreset = (name, setOpts = {}) => {
+    const preset = presets[name];
+    if (!preset) {
+      console.warn(`⚠️ Unknown lighting preset "${name}" (have ${Object.keys(presets).join(', ')})`);
+      return settled;
+    }
+    if (name === target) {
+      return settled;
+    }
+    const first = target === null;
+    target = name;
+    const id = ++request;
+    settled = loadSource(preset.hdri, first).then((source) => {
+      if (id !== request || disposed) {
+        return undefined;
+      }
+      const seconds = first || instant() ? 0 : (setOpts.duration ?? defaultDuration);
+      console.log(`💡 Lighting: ${name}${seconds > 0 ? ` (${seconds}s crossfade)` : ''}`);
+      return fadeTo(preset, source, seconds);
+    });
+    return settled;
+  };
 
-    // Apply rotation if specified
-    if (rotationY !== 0) {
-      envMap.texture.rotation = rotationY;
+  /**
+   * Rotate the environment about Y (re-bakes the prefiltered map)
+   * The next preset switch tweens back to that preset's rotationY.
+   * @param {number} radians - Rotation
+   * @param {Object} rotateOpts - { duration (seconds, default 0) }
+   */
+  const setRotation = (radians, rotateOpts = {}) => {
+    const { duration = 0 } = rotateOpts;
+    if (duration > 0 && !instant()) {
+      return gsap.to(state, { rotation: radians, duration, ease: 'power1.inOut', onUpdate: apply }).then();
     }
+    state.rotation = radians;
+    apply();
+    return Promise.resolve();
+  };
 
-    // Set environment on scene (background stays null to preserve gradient)
-    scene.environment = envMap.texture;
-    renderer.toneMappingExposure = intensity;
+  /**
+   * Preset in effect at a timeline progress: the last keyframe reached that names one
+   * Keyframes without `lighting` leave manual setPreset calls alone.
+   */
+  const update = (progress = 0) => {
+    if (!frames.some((kf) => kf.lighting)) {
+      return;
+    }
+    let name = initial;
+    frames.forEach((kf) => {
+      if (kf.lighting && progress + 1e-4 >= kf.progress) {
+        name = kf.lighting;
+      }
+    });
+    setPreset(name);
+  };
 
-    console.log(`✅ HDRI loaded | intensity: ${intensity}`);
-    return envMap;
-  } catch (error) {
-    console.warn('⚠️ HDRI not found, using RoomEnvironment fallback');
-    // Fallback to RoomEnvironment for decent lighting without HDRI
-    try {
-      const { RoomEnvironment } = await import('three/examples/jsm/environments/RoomEnvironment.js');
-      const pmremGenerator = new THREE.PMREMGenerator(renderer);
-      const roomEnv = new RoomEnvironment();
-      const envMap = pmremGenerator.fromScene(roomEnv);
-      scene.environment = envMap.texture;
-      renderer.toneMappingExposure = intensity;
-      console.log('✅ RoomEnvironment fallback applied');
-      return envMap;
-    } catch (fallbackError) {
-      console.warn('⚠️ RoomEnvironment also failed, studio lights only');
-      return null;
+  /**
+   * Drive presets from keyframes' `lighting` fields (tl = null: update(progress) only, e.g. static mode)
+   * Call again for every rebuilt timeline. HDRIs the keyframes name start loading right away.
+   * @param {gsap.core.Timeline|null} tl - Scroll timeline (progress 0 → 1)
+   * @param {Array} keyframes - Ordered keyframes
+   */
+  const bindToTimeline = (tl, keyframes) => {
+    frames = keyframes;
+    frames.forEach((kf) => {
+      if (presets[kf.lighting]) {
+        loadSource(presets[kf.lighting].hdri);
+      }
+    });
+    if (!tl) {
+      update(0);
+      return;
     }
-  }
+    tl.fromTo({ t: 0 }, { t: 0 }, {
+      t: 1,
+      duration: 1,
+      ease: 'none',
+      immediateRender: false,
+      onUpdate: function () {
+        update(this.targets()[0].t);
+      }
+    }, 0);
+    update(tl.progress());
+  };
+
+  /**
+   * Add a preset (e.g. to try another HDRI), then switch to it with setPreset
+   * Replacing the preset on screen has no effect until another one has been shown.
+   * @param {string} name - Preset name
+   * @param {Object} preset - { hdri, exposure, rotationY, background, lights }
+   */
+  const addPreset = (name, preset) => {
+    presets[name] = preset;
+  };
+
+  const dispose = () => {
+    disposed = true;
+    tween?.kill();
+    lights.dispose();
+    if (blend) {
+      if (scene.environment === blend.texture) {
+        scene.environment = null;
+      }
+      blend.dispose();
+      sources.forEach((source) => source.then((cube) => cube?.dispose()));
+    }
+  };
+
+  const ready = setPreset(initial);
+
+  return {
+    ready,
+    setPreset,
+    setRotation,
+    getPreset: () => target,
+    getPresetNames: () => Object.keys(presets),
+    addPreset,
+    bindToTimeline,
+    update,
+    whenSettled: () => settled,
+    lights,
+    dispose,
+  };
 }
 
 /**
  * Apply 3-point studio lighting rig
  * @param {THREE.Scene} scene - Three.js scene
  * @param {Object} opts - Configuration options
+ * @returns {{ keyLight, fillLight, rimLight, hemiLight, update: Function, dispose: Function }} update({ keyIntensity, ... }) changes intensities; dispose() removes the rig
  */
 export function applyStudioLights(scene, opts = {}) {
   const {
@@ -103,38 +337,116 @@ export function applyStudioLights(scene, opts = {}) {
 
   console.log(`✅ Studio lights applied | key: ${keyIntensity}, fill: ${fillIntensity}, rim: ${rimIntensity}`);
 
-  return { keyLight, fillLight, rimLight, hemiLight };
+  const update = (values = {}) => {
+    keyLight.intensity = values.keyIntensity ?? keyLight.intensity;
+    fillLight.intensity = values.fillIntensity ?? fillLight.intensity;
+    rimLight.intensity = values.rimIntensity ?? rimLight.intensity;
+    hemiLight.intensity = values.ambientIntensity ?? hemiLight.intensity;
+  };
+
+  const dispose = () => {
+    [keyLight, fillLight, rimLight, hemiLight].forEach((light) => {
+      light.removeFromParent();
+      light.dispose();
+    });
+  };
+
+  return { keyLight, fillLight, rimLight, hemiLight, update, dispose };
 }
 
 /**
- * Add shadow catcher plane below model
- * @param {THREE.Scene} scene - Scene to add plane to
- * @param {number} yPosition - Y position (typically bbox.min.y - 0.02)
- * @param {number} size - Plane size
+ * Fit a directional light's shadow camera to a model's bounds
+ * A directional shadow lands inside the model's footprint as seen from the light,
+ * so the orthographic frustum wraps just that (plus a margin) and small models
+ * get sharp shadows. The map follows the frustum's aspect so texels stay square.
+ * @param {THREE.DirectionalLight} light - Shadow-casting light (its direction is kept)
+ * @param {THREE.Box3} bounds - World bounds of the model
+ * @param {Object} opts - { margin (× bounding radius), mapSize (longer side, px) }
  */
-export function addShadowCatcher(scene, yPosition = -2, size = 20) {
-  const planeGeometry = new THREE.PlaneGeometry(size, size);
-  const planeMaterial = new THREE.ShadowMaterial({ opacity: 0.2 });
-  const plane = new THREE.Mesh(planeGeometry, planeMaterial);
-  plane.rotation.x = -Math.PI / 2;
-  plane.position.y = yPosition;
-  plane.receiveShadow = true;
-  scene.add(plane);
-  console.log(`✅ Shadow catcher added at y=${yPosition}`);
-  return plane;
+export function fitShadowCamera(light, bounds, opts = {}) {
+  const { margin = 0.1, mapSize = 2048 } = opts;
+  const center = bounds.getCenter(new THREE.Vector3());
+  const radius = bounds.getBoundingSphere(new THREE.Sphere()).radius;
+  const direction = light.position.clone().sub(light.target.position).normalize();
+
+  light.target.position.copy(center);
+  light.target.updateMatrixWorld();
+  light.position.copy(center).addScaledVector(direction, radius * 3);
+  light.updateMatrixWorld();
+
+  // Same view the renderer uses for the shadow pass
+  const { camera } = light.shadow;
+  camera.position.copy(light.position);
+  camera.lookAt(center);
+  camera.updateMatrixWorld();
+
+  const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+  const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+  const corner = new THREE.Vector3();
+  for (let i = 0; i < 8; i++) {
+    corner.set(
+      i & 1 ? bounds.max.x : bounds.min.x,
+      i & 2 ? bounds.max.y : bounds.min.y,
+      i & 4 ? bounds.max.z : bounds.min.z
+    ).applyMatrix4(camera.matrixWorldInverse);
+    min.min(corner);
+    max.max(corner);
+  }
+  const pad = radius * margin;
+  camera.left = min.x - pad;
+  camera.right = max.x + pad;
+  camera.bottom = min.y - pad;
+  camera.top = max.y + pad;
+  camera.near = Math.max(0.01, -max.z - pad);
+  camera.far = -min.z + radius; // Reaches the ground below the model
+  camera.updateProjectionMatrix();
+
+  const width = camera.right - camera.left;
+  const height = camera.top - camera.bottom;
+  const side = (extent) => Math.max(256, 2 ** Math.round(Math.log2(mapSize * extent / Math.max(width, height))));
+  const mapWidth = side(width);
+  const mapHeight = side(height);
+  setShadowMapSize(light, mapWidth, mapHeight);
+  console.log(`✅ Shadow fitted | ${width.toFixed(2)} × ${height.toFixed(2)} units, ${mapWidth}×${mapHeight} map`);
+}
+
+/**
+ * Resize a light's shadow map (the old map is freed and reallocated on the next shadow pass)
+ * @param {THREE.Light} light - Shadow-casting light
+ * @param {number} width - Map width (px)
+ * @param {number} height - Map height (px, defaults to width)
+ */
+export function setShadowMapSize(light, width, height = width) {
+  if (light.shadow.mapSize.x !== width || light.shadow.mapSize.y !== height) {
+    light.shadow.mapSize.set(width, height);
+    light.shadow.map?.dispose();
+    light.shadow.map = null;
+  }
+  light.shadow.needsUpdate = true;
 }
 
 /**
  * Configure renderer for professional rendering
  * @param {THREE.WebGLRenderer} renderer - Renderer instance
+ * @param {Object} opts - Options { exposure, toneMapping, shadows, maxPixelRatio }
  */
-export function configureRenderer(renderer) {
+export function configureRenderer(renderer, opts = {}) {
+  const {
+    exposure = 1.2,
+    toneMapping = 'ACESFilmic',
+    shadows = true,
+    maxPixelRatio = 2,
+  } = opts;
+
   // Color space
   renderer.outputColorSpace = THREE.SRGBColorSpace;
 
   // Tone mapping (enhanced exposure for vehicles)
-  renderer.toneMapping = THREE.ACESFilmicToneMapping;
-  renderer.toneMappingExposure = 1.2;
+  renderer.toneMapping = THREE[`${toneMapping}ToneMapping`] ?? THREE.ACESFilmicToneMapping;
+  renderer.toneMappingExposure = exposure;
+
+  // Pixel ratio cap
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
 
   // Physically-based lighting
   if (renderer.physicallyCorrectLights !== undefined) {
@@ -142,8 +454,145 @@ export function configureRenderer(renderer) {
   }
 
   // Shadows
-  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.enabled = shadows;
   renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-  console.log('✅ Renderer configured | ACESFilmic tone mapping, soft shadows');
+  console.log(`✅ Renderer configured | ${toneMapping} tone mapping, ${shadows ? 'soft shadows' : 'no shadows'}`);
+}
+
+/**
+ * Load an equirectangular HDRI into a cube map
+ * @param {THREE.WebGLRenderer} renderer - Renderer instance
+ * @param {string} url - .hdr URL
+ * @param {Object|null} loading - Loading manager (progress + cancel), or null for a plain load
+ * @returns {Promise<THREE.WebGLCubeRenderTarget>}
+ */
+async function loadHDRICube(renderer, url, loading) {
+  const loader = new RGBELoader();
+  let hdriTexture;
+  if (loading) {
+    // Download through the loading manager (progress + cancel), then decode from memory
+    const buffer = await loading.fetch(url);
+    const blobUrl = URL.createObjectURL(new Blob([buffer]));
+    try {
+      hdriTexture = await loader.loadAsync(blobUrl);
+    } finally {
+      URL.revokeObjectURL(blobUrl);
+    }
+  } else {
+    hdriTexture = await loader.loadAsync(url);
+  }
+
+  const cube = new THREE.WebGLCubeRenderTarget(ENV_CUBE_SIZE, { type: THREE.HalfFloatType });
+  cube.fromEquirectangularTexture(renderer, hdriTexture);
+  hdriTexture.dispose();
+  console.log(`✅ HDRI loaded | ${url}`);
+  return cube;
+}
+
+/**
+ * RoomEnvironment rendered into a cube map, for decent lighting without an HDRI
+ */
+async function createRoomCube(renderer) {
+  const { RoomEnvironment } = await import('three/examples/jsm/environments/RoomEnvironment.js');
+  const room = new RoomEnvironment();
+  const cube = new THREE.WebGLCubeRenderTarget(ENV_CUBE_SIZE, { type: THREE.HalfFloatType });
+  new THREE.CubeCamera(0.1, 100, cube).update(renderer, room);
+  room.dispose();
+  console.log('✅ RoomEnvironment fallback applied');
+  return cube;
+}
+
+/**
+ * Mix two environment cube maps with a Y rotation and prefilter the result for PBR materials
+ * PMREM textures can't be rotated or blended after the fact (texture.rotation does
+ * nothing for them), so every change re-bakes: a cube render plus the PMREM passes.
+ */
+function createEnvironmentBlend(renderer) {
+  const pmrem = new THREE.PMREMGenerator(renderer);
+  const material = new THREE.ShaderMaterial({
+    name: 'EnvironmentBlend',
+    uniforms: {
+      mapA: { value: null },
+      mapB: { value: null },
+      mixB: { value: 0 },
+      rotation: { value: 0 },
+    },
+    vertexShader: /* glsl */ `
+      varying vec3 vDirection;
+      void main() {
+        vDirection = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: /* glsl */ `
+      uniform samplerCube mapA;
+      uniform samplerCube mapB;
+      uniform float mixB;
+      uniform float rotation;
+      varying vec3 vDirection;
+      void main() {
+        vec3 d = normalize(vDirection);
+        float c = cos(rotation);
+        float s = sin(rotation);
+        vec3 dir = vec3(c * d.x - s * d.z, d.y, s * d.x + c * d.z);
+        gl_FragColor = vec4(mix(textureCube(mapA, dir).rgb, textureCube(mapB, dir).rgb, mixB), 1.0);
+      }
+    `,
+    side: THREE.BackSide,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const box = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material);
+  const blendScene = new THREE.Scene();
+  blendScene.add(box);
+  const cube = new THREE.WebGLCubeRenderTarget(ENV_CUBE_SIZE, { type: THREE.HalfFloatType });
+  const cubeCamera = new THREE.CubeCamera(0.1, 10, cube);
+
+  let prefiltered = null;
+  let baked = null;
+  let incoming = null;
+
+  const setSources = (a, b) => {
+    material.uniforms.mapA.value = a.texture;
+    material.uniforms.mapB.value = b.texture;
+    incoming = a === b ? null : b;
+    baked = null;
+  };
+
+  /**
+   * Re-bake if the mix or rotation changed
+   * @returns {THREE.Texture} Prefiltered environment for scene.environment
+   */
+  const bake = (mix, rotation) => {
+    const key = `${mix}:${rotation}`;
+    if (key !== baked) {
+      baked = key;
+      material.uniforms.mixB.value = mix;
+      material.uniforms.rotation.value = rotation;
+      cubeCamera.update(renderer, blendScene);
+      prefiltered = pmrem.fromCubemap(cube.texture, prefiltered);
+    }
+    return prefiltered.texture;
+  };
+
+  const dispose = () => {
+    pmrem.dispose();
+    material.dispose();
+    box.geometry.dispose();
+    cube.dispose();
+    prefiltered?.dispose();
+  };
+
+  return {
+    setSources,
+    bake,
+    dispose,
+    get incoming() {
+      return incoming;
+    },
+    get texture() {
+      return prefiltered?.texture ?? null;
+    },
+  };
 }
@@ -1,137 +1,111 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { getVariantNames } from './configurator.js';
+import { applyMaterialRules, DEFAULT_MATERIAL_RULES } from './materialRules.js';
+import { fetchArrayBuffer } from './loadingManager.js';
+import { createDecoders, describeDecodeError, readGltfJson } from './decoders.js';
 
 /**
  * Load GLB model with enhanced features
  * @param {string} modelPath - Path to GLB file
  * @param {THREE.Scene} scene - Three.js scene
- * @returns {Promise<{model: THREE.Group, sphere: THREE.Sphere}>} - Loaded model + bounding sphere
+ * @param {Object} opts - Options { materialRules (defaults to DEFAULT_MATERIAL_RULES), loading (from createLoadingManager), decoders (from createDecoders) }
+ *   With `loading`, the download reports to its progress bar and aborts on loading.cancel()
+ *   Without `decoders`, DRACO and meshopt are set up for this load only (no KTX2, which needs the renderer)
+ * @returns {Promise<{model: THREE.Group, sphere: THREE.Sphere, box: THREE.Box3, animations: THREE.AnimationClip[], parser: Object, variants: string[], materialOverrides: Object}>}
+ *   Loaded model + bounding sphere and box + glTF clips, the parser and KHR_materials_variants names for the configurator,
+ *   and materialOverrides ({ matches, revert }) from the material rules
  */
-export function loadModel(modelPath, scene) {
-  return new Promise((resolve, reject) => {
-    const loader = new GLTFLoader();
+export async function loadModel(modelPath, scene, opts = {}) {
+  const { materialRules = DEFAULT_MATERIAL_RULES, loading = null } = opts;
+  const decoders = opts.decoders || createDecoders(null, {}, loading?.manager);
 
-    // Try to use DRACO decompression if available
+  // Self-hosted DRACO / meshopt / KTX2 decoders
+  const loader = decoders.attach(new GLTFLoader(loading?.manager));
+
+  let gltf;
+  try {
+    const buffer = loading
+      ? await loading.fetch(modelPath)
+      : await fetchArrayBuffer(modelPath, { onProgress: createProgressLog() });
+
+    // Fail early, and clearly, on extensions we can't decode
+    const json = readGltfJson(buffer);
+    const compressed = json ? decoders.check(json, modelPath) : [];
     try {
-      const dracoLoader = new DRACOLoader();
-      dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-      loader.setDRACOLoader(dracoLoader);
-    } catch (e) {
-      // DRACO not critical, continue without it
+      gltf = await loader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(modelPath));
+    } catch (error) {
+      throw describeDecodeError(error, compressed, decoders.paths);
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('❌ Error loading model:', error.message);
+    }
+    throw error;
+  } finally {
+    if (!opts.decoders) {
+      decoders.dispose();
     }
+  }
+  if (loading?.signal.aborted) {
+    throw new DOMException('Model load cancelled', 'AbortError');
+  }
 
-    loader.load(
-      modelPath,
-      (gltf) => {
-        const model = gltf.scene;
+  const model = gltf.scene;
 
-        // Compute bounding box
-        const box = new THREE.Box3().setFromObject(model);
-        const center = box.getCenter(new THREE.Vector3());
-        const size = box.getSize(new THREE.Vector3());
-        const maxDim = Math.max(size.x, size.y, size.z);
+  // Compute bounding box
+  const box = new THREE.Box3().setFromObject(model);
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z);
 
-        // Center model
-        model.position.sub(center);
+  // Center model
+  model.position.sub(center);
 
-        // Smart scaling: only scale if wildly off (>1000 or <0.01)
-        const radius = maxDim / 2;
-        if (radius > 1000 || radius < 0.01) {
-          const scale = 3 / maxDim;
-          model.scale.setScalar(scale);
-          console.log(`📏 Scaled model by ${scale.toFixed(3)}x`);
-        } else {
-          console.log(`📏 Model size OK (radius: ${radius.toFixed(2)})`);
-        }
+  // Smart scaling: only scale if wildly off (>1000 or <0.01)
+  const radius = maxDim / 2;
+  if (radius > 1000 || radius < 0.01) {
+    const scale = 3 / maxDim;
+    model.scale.setScalar(scale);
+    console.log(`📏 Scaled model by ${scale.toFixed(3)}x`);
+  } else {
+    console.log(`📏 Model size OK (radius: ${radius.toFixed(2)})`);
+  }
 
-        // Setup shadows and detect glass materials
-        model.traverse((node) => {
-          if (node.isMesh) {
-            const materials = getMaterials(node);
-            const isGlass = detectGlass(node, materials);
-            
-            if (isGlass) {
-              // Apply glass material for transparency
-              const baseColor = materials[0]?.color ? materials[0].color.clone() : new THREE.Color(0xffffff);
-              const glassMaterial = new THREE.MeshPhysicalMaterial({
-                color: baseColor,
-                roughness: 0.04,
-                metalness: 0.0,
-                transmission: 1.0,
-                thickness: 0.06,
-                ior: 1.45,
-                transparent: true,
-                opacity: 1.0,
-                envMapIntensity: 1.7,
-                specularIntensity: 1.0,
-                clearcoat: 0.2,
-                depthWrite: false
-              });
-              node.material = glassMaterial;
-              node.castShadow = false;
-              node.receiveShadow = false;
-              node.renderOrder = 10; // Reduce sorting artifacts
-              console.log(`🪟 Glass material applied: ${node.name}`);
-            } else {
-              // Regular meshes cast/receive shadows
-              node.castShadow = true;
-              node.receiveShadow = true;
-            }
-          }
-        });
+  // Setup shadows and material overrides (glass, chrome, lamps...)
+  const materialOverrides = applyMaterialRules(model, materialRules);
 
-        // Recompute bounding sphere after positioning/scaling
-        const finalBox = new THREE.Box3().setFromObject(model);
-        const sphere = finalBox.getBoundingSphere(new THREE.Sphere());
+  // Recompute bounding sphere after positioning/scaling
+  const finalBox = new THREE.Box3().setFromObject(model);
+  const sphere = finalBox.getBoundingSphere(new THREE.Sphere());
 
-        scene.add(model);
-        console.log(`✅ Model loaded | sphere radius: ${sphere.radius.toFixed(2)}, center: (${sphere.center.x.toFixed(1)}, ${sphere.center.y.toFixed(1)}, ${sphere.center.z.toFixed(1)})`);
-        resolve({ model, sphere });
-      },
-      (progress) => {
-        const percent = (progress.loaded / progress.total) * 100;
-        console.log(`Loading model: ${percent.toFixed(0)}%`);
-      },
-      (error) => {
-        console.error('❌ Error loading model:', error);
-        reject(error);
-      }
-    );
-  });
+  scene.add(model);
+  console.log(`✅ Model loaded | sphere radius: ${sphere.radius.toFixed(2)}, center: (${sphere.center.x.toFixed(1)}, ${sphere.center.y.toFixed(1)}, ${sphere.center.z.toFixed(1)})`);
+  return {
+    model,
+    sphere,
+    box: finalBox,
+    animations: gltf.animations || [],
+    parser: gltf.parser,
+    variants: getVariantNames(gltf),
+    materialOverrides,
+  };
 }
 
 /**
- * Detect if a mesh should use glass material
- * Checks mesh name and material name for glass-related keywords
+ * Console progress for loads without a loading manager, logged every 10% (or MB without Content-Length)
  */
-function detectGlass(mesh, materials = []) {
-  const glassKeywords = [
-    'glass',
-    'window',
-    'windshield',
-    'windscreen',
-    'rear_window',
-    'front_window',
-    'backglass',
-    '透明'
-  ];
-  const name = (mesh.name || '').toLowerCase();
-
-  const nameMatch = glassKeywords.some((keyword) => name.includes(keyword));
-  const materialMatch = materials.some((mat) => {
-    const matName = (mat?.name || '').toLowerCase();
-    const isTransparent = mat?.transparent === true;
-    const lowOpacity = typeof mat?.opacity === 'number' && mat.opacity < 1;
-    return glassKeywords.some((keyword) => matName.includes(keyword)) || isTransparent || lowOpacity;
-  });
-
-  return nameMatch || materialMatch;
-}
-
-function getMaterials(mesh) {
-  if (Array.isArray(mesh.material)) {
-    return mesh.material.filter(Boolean);
-  }
-  return mesh.material ? [mesh.material] : [];
+function createProgressLog() {
+  let lastStep = -1;
+  return (loaded, total) => {
+    const known = total > 0 && loaded <= total;
+    const step = known ? Math.floor(loaded / total * 10) : Math.floor(loaded / (1024 * 1024));
+    if (step === lastStep) {
+      return;
+    }
+    lastStep = step;
+    console.log(known
+      ? `Loading model: ${(loaded / total * 100).toFixed(0)}%`
+      : `Loading model: ${(loaded / (1024 * 1024)).toFixed(1)} MB`);
+  };
 }
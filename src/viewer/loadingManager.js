@@ -0,0 +1,267 @@
+import * as THREE from 'three';
+
+/**
+ * Loading state for one viewer: progress bar, poster, cancel and retry
+ *
+ * Every asset of a load attempt reports to the same session:
+ *   - fetch(url) streams the GLB / HDRI itself, counting bytes and aborting on cancel()
+ *   - `manager` is a THREE.LoadingManager for anything three's loaders request
+ *     on their own (textures and buffers referenced by the glTF)
+ * Progress is the mean completion of all items. When a server omits
+ * Content-Length the bar turns indeterminate and shows the bytes received.
+ */
+
+/**
+ * Create the loading overlay and session for a viewer
+ * @param {HTMLElement} container - Element the canvas fills (overlay is laid over it)
+ * @param {Object} opts - { poster (image URL shown until the first frame renders) }
+ * @returns {Object} { manager, signal, fetch, cancel, fail, reset, finish, setPoster, dispose }
+ */
+export function createLoadingManager(container, opts = {}) {
+  const { poster = null } = opts;
+  const items = new Map();
+  let controller = new AbortController();
+  let onRetry = null;
+  let failed = false;
+
+  const overlay = createOverlay(container);
+  const bar = overlay.querySelector('.viewer-loading__bar');
+  const fill = overlay.querySelector('.viewer-loading__fill');
+  const label = overlay.querySelector('.viewer-loading__label');
+  const cancelButton = overlay.querySelector('[data-action="cancel"]');
+  const retryButton = overlay.querySelector('[data-action="retry"]');
+
+  const render = () => {
+    if (failed) {
+      return; // Keep the failure message while other downloads finish
+    }
+    const list = [...items.values()];
+    const indeterminate = list.some((item) => item.streamed && !item.done && item.total === 0);
+    const fraction = list.length > 0
+      ? list.reduce((sum, item) => sum + (item.done ? 1 : (item.total ? Math.min(item.loaded / item.total, 1) : 0)), 0) / list.length
+      : 0;
+    const percent = Math.round(fraction * 100);
+
+    overlay.classList.toggle('viewer-loading--indeterminate', indeterminate);
+    fill.style.width = indeterminate ? '' : `${fraction * 100}%`;
+    if (indeterminate) {
+      bar.removeAttribute('aria-valuenow');
+      label.textContent = `Loading… ${formatBytes(list.reduce((sum, item) => sum + item.loaded, 0))}`;
+    } else {
+      bar.setAttribute('aria-valuenow', String(percent));
+      label.textContent = `Loading… ${percent}%`;
+    }
+  };
+
+  const track = (url, streamed = false) => {
+    const item = { loaded: 0, total: 0, done: false, streamed };
+    items.set(url, item);
+    render();
+    return item;
+  };
+
+  const settle = (url) => {
+    const item = items.get(url);
+    if (item) {
+      item.done = true;
+      render();
+    }
+  };
+
+  // Count requests three's loaders make through this manager
+  const manager = new THREE.LoadingManager();
+  const { itemStart, itemEnd, itemError } = manager;
+  manager.itemStart = (url) => {
+    itemStart(url);
+    track(url);
+  };
+  manager.itemEnd = (url) => {
+    itemEnd(url);
+    settle(url);
+  };
+  manager.itemError = (url) => {
+    itemError(url);
+    settle(url);
+  };
+
+  /**
+   * Fetch an asset as an ArrayBuffer, reporting bytes to the progress bar
+   * Rejects with an AbortError after cancel().
+   * @param {string} url - Asset URL
+   * @returns {Promise<ArrayBuffer>}
+   */
+  const fetchTracked = async (url) => {
+    const item = track(url, true);
+    try {
+      return await fetchArrayBuffer(url, {
+        signal: controller.signal,
+        onProgress: (loaded, total) => {
+          item.loaded = loaded;
+          item.total = loaded > total ? 0 : total; // Compressed Content-Length undercounts
+          render();
+        },
+      });
+    } finally {
+      item.done = true;
+      render();
+    }
+  };
+
+  /**
+   * Abort every fetch in flight
+   */
+  const cancel = () => {
+    if (!controller.signal.aborted) {
+      controller.abort();
+      console.log('⏹️  Loading cancelled');
+    }
+  };
+
+  /**
+   * Show a failure message, with a Retry button when a retry callback is given
+   * @param {string} message - User-facing message
+   * @param {Function} retry - Called when Retry is clicked
+   */
+  const fail = (message, retry = null) => {
+    onRetry = retry;
+    failed = true;
+    overlay.classList.add('viewer-loading--failed');
+    overlay.classList.remove('viewer-loading--indeterminate');
+    label.textContent = message;
+    cancelButton.hidden = true;
+    retryButton.hidden = !retry;
+  };
+
+  /**
+   * Start a fresh attempt (new abort signal, empty progress)
+   */
+  const reset = () => {
+    controller = new AbortController();
+    items.clear();
+    onRetry = null;
+    failed = false;
+    overlay.classList.remove('viewer-loading--failed', 'viewer-loading--done');
+    cancelButton.hidden = false;
+    retryButton.hidden = true;
+    render();
+  };
+
+  /**
+   * Show a poster image behind the progress bar (null removes it), e.g. once the manifest naming it is in
+   * @param {string|null} url - Image URL
+   */
+  const setPoster = (url) => {
+    overlay.querySelector('.viewer-loading__poster')?.remove();
+    if (url) {
+      const image = document.createElement('img');
+      image.className = 'viewer-loading__poster';
+      image.src = url;
+      image.alt = '';
+      overlay.prepend(image);
+    }
+  };
+
+  /**
+   * Fade out the poster and progress bar (call once the first real frame is drawn)
+   */
+  const finish = () => {
+    overlay.classList.add('viewer-loading--done');
+  };
+
+  const dispose = () => {
+    controller.abort();
+    overlay.remove();
+  };
+
+  cancelButton.addEventListener('click', cancel);
+  retryButton.addEventListener('click', () => onRetry?.());
+  setPoster(poster);
+  render();
+
+  return {
+    manager,
+    get signal() {
+      return controller.signal;
+    },
+    fetch: fetchTracked,
+    cancel,
+    fail,
+    reset,
+    finish,
+    setPoster,
+    dispose,
+  };
+}
+
+/**
+ * Fetch a URL as an ArrayBuffer, streaming the body to report progress
+ * @param {string} url - Asset URL
+ * @param {Object} opts - { signal (AbortSignal), onProgress(loaded, total) - total is 0 without Content-Length }
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchArrayBuffer(url, opts = {}) {
+  const { signal, onProgress } = opts;
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    const error = new Error(`${url}: HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    onProgress?.(buffer.byteLength, total);
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress?.(loaded, total);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes.buffer;
+}
+
+/**
+ * Build the overlay DOM (poster, progress bar, message, cancel/retry)
+ */
+function createOverlay(container) {
+  const overlay = document.createElement('div');
+  overlay.className = 'viewer-loading';
+  overlay.innerHTML = `
+    <div class="viewer-loading__panel">
+      <div class="viewer-loading__bar" role="progressbar" aria-label="Loading 3D model" aria-valuemin="0" aria-valuemax="100">
+        <div class="viewer-loading__fill"></div>
+      </div>
+      <div class="viewer-loading__label"></div>
+      <div class="viewer-loading__actions">
+        <button type="button" class="viewer-loading__button" data-action="cancel">Cancel</button>
+        <button type="button" class="viewer-loading__button" data-action="retry" hidden>Retry</button>
+      </div>
+    </div>
+  `;
+  container.appendChild(overlay);
+  return overlay;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(0)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,330 @@
+import * as THREE from 'three';
+
+/**
+ * Rule-based material overrides applied at load time
+ *
+ * Each rule matches meshes and applies a named preset. Rules are checked in
+ * order and the first match wins. All criteria inside `match` must hold:
+ *
+ *   {
+ *     name: 'rear-lamps',
+ *     preset: 'emissiveLamp',
+ *     match: {
+ *       meshName: ['lamp', 'light'],        // any substring, case-insensitive
+ *       materialName: ['lens'],             // any substring, case-insensitive
+ *       nodePath: 'Body/Lights/*',          // slash-joined ancestor names, * wildcard
+ *       material: { transparent: true, opacity: { lt: 1 }, map: null }  // property tests
+ *     },
+ *     params: { emissiveIntensity: 3 }      // preset overrides
+ *   }
+ *
+ * Meshes that match no rule keep their material and cast/receive shadows.
+ */
+
+/**
+ * Glass keywords (previously hardcoded in detectGlass)
+ */
+export const GLASS_KEYWORDS = [
+  'glass',
+  'window',
+  'windshield',
+  'windscreen',
+  'rear_window',
+  'front_window',
+  'backglass',
+  '透明'
+];
+
+/**
+ * Default rules: glass by mesh or material name, and authored transmission
+ * Unlike the old detectGlass, plain `transparent` / low opacity no longer
+ * counts as glass - that caught decals and lamp lenses.
+ */
+export const DEFAULT_MATERIAL_RULES = [
+  { name: 'glass-mesh-name', preset: 'glass', match: { meshName: GLASS_KEYWORDS } },
+  { name: 'glass-material-name', preset: 'glass', match: { materialName: GLASS_KEYWORDS } },
+  { name: 'glass-transmission', preset: 'glass', match: { material: { transmission: { gt: 0 } } } },
+];
+
+const INHERITED_MAPS = ['map', 'normalMap', 'aoMap', 'roughnessMap', 'metalnessMap', 'alphaMap'];
+
+/**
+ * Material presets
+ * build(source, params) returns the replacement material; flags are applied to the mesh.
+ */
+export const MATERIAL_PRESETS = {
+  glass: {
+    flags: { castShadow: false, receiveShadow: false, renderOrder: 10 },
+    build: (source, params) => new THREE.MeshPhysicalMaterial({
+      color: source?.color ? source.color.clone() : new THREE.Color(0xffffff),
+      roughness: 0.04,
+      metalness: 0.0,
+      transmission: 1.0,
+      thickness: 0.06,
+      ior: 1.45,
+      transparent: true,
+      opacity: 1.0,
+      envMapIntensity: 1.7,
+      specularIntensity: 1.0,
+      clearcoat: 0.2,
+      depthWrite: false,
+      ...params,
+    }),
+  },
+  chrome: {
+    flags: { castShadow: true, receiveShadow: true },
+    build: (source, params) => new THREE.MeshPhysicalMaterial({
+      color: 0xffffff,
+      metalness: 1.0,
+      roughness: 0.05,
+      envMapIntensity: 1.5,
+      normalMap: source?.normalMap || null,
+      ...params,
+    }),
+  },
+  tireRubber: {
+    flags: { castShadow: true, receiveShadow: true },
+    build: (source, params) => new THREE.MeshStandardMaterial({
+      color: 0x1a1a1a,
+      metalness: 0.0,
+      roughness: 0.9,
+      envMapIntensity: 0.4,
+      ...inheritMaps(source, ['normalMap', 'aoMap', 'roughnessMap']),
+      ...params,
+    }),
+  },
+  carPaint: {
+    flags: { castShadow: true, receiveShadow: true },
+    build: (source, params) => new THREE.MeshPhysicalMaterial({
+      color: source?.color ? source.color.clone() : new THREE.Color(0xffffff),
+      metalness: 0.6,
+      roughness: 0.35,
+      clearcoat: 1.0,
+      clearcoatRoughness: 0.03,
+      envMapIntensity: 1.2,
+      ...inheritMaps(source, INHERITED_MAPS),
+      ...params,
+    }),
+  },
+  emissiveLamp: {
+    flags: { castShadow: false, receiveShadow: false },
+    build: (source, params) => new THREE.MeshStandardMaterial({
+      color: source?.color ? source.color.clone() : new THREE.Color(0xffffff),
+      emissive: source?.emissive && source.emissive.getHex() !== 0 ? source.emissive.clone() : (source?.color?.clone() || new THREE.Color(0xffffff)),
+      emissiveIntensity: 2.0,
+      emissiveMap: source?.emissiveMap || source?.map || null,
+      transparent: source?.transparent || false,
+      opacity: source?.opacity ?? 1,
+      ...params,
+    }),
+  },
+};
+
+/**
+ * Apply material rules to every mesh in a model
+ * @param {THREE.Object3D} model - Loaded glTF scene
+ * @param {Array} rules - Ordered rules (defaults to DEFAULT_MATERIAL_RULES)
+ * @returns {{ matches: Array<{mesh: THREE.Mesh, rule: Object}>, revert: Function }}
+ */
+export function applyMaterialRules(model, rules = DEFAULT_MATERIAL_RULES) {
+  const matches = [];
+  const originals = [];
+
+  model.traverse((node) => {
+    if (!node.isMesh) {
+      return;
+    }
+
+    const rule = findMatchingRule(node, rules, model);
+    if (!rule) {
+      // Regular meshes cast/receive shadows
+      node.castShadow = true;
+      node.receiveShadow = true;
+      return;
+    }
+
+    const preset = MATERIAL_PRESETS[rule.preset];
+    if (!preset) {
+      console.warn(`⚠️ Material rule "${rule.name}" uses unknown preset "${rule.preset}"`);
+      return;
+    }
+
+    originals.push({
+      mesh: node,
+      material: node.material,
+      castShadow: node.castShadow,
+      receiveShadow: node.receiveShadow,
+      renderOrder: node.renderOrder,
+    });
+
+    const source = getMaterials(node)[0];
+    node.material = preset.build(source, resolveParams(rule.params));
+    node.castShadow = preset.flags.castShadow;
+    node.receiveShadow = preset.flags.receiveShadow;
+    if (preset.flags.renderOrder !== undefined) {
+      node.renderOrder = preset.flags.renderOrder; // Reduce sorting artifacts
+    }
+    matches.push({ mesh: node, rule });
+    console.log(`🎨 Rule "${rule.name}" → ${rule.preset}: ${node.name || '(unnamed mesh)'}`);
+  });
+
+  /**
+   * Restore original materials and mesh flags, disposing the override materials
+   */
+  const revert = () => {
+    originals.forEach(({ mesh, material, castShadow, receiveShadow, renderOrder }) => {
+      if (mesh.material !== material) {
+        mesh.material.dispose();
+      }
+      mesh.material = material;
+      mesh.castShadow = castShadow;
+      mesh.receiveShadow = receiveShadow;
+      mesh.renderOrder = renderOrder;
+    });
+    originals.length = 0;
+    console.log(`↩️  Material overrides reverted (${matches.length})`);
+  };
+
+  return { matches, revert };
+}
+
+/**
+ * Swap transmission glass for plain alpha blending, or back
+ * Transmission renders the opaque scene a second time into a texture every
+ * frame; alpha-blended glass is a single draw. Originals are kept in
+ * material.userData, so this can run again after variants swap materials in.
+ * @param {THREE.Object3D} model - Model root
+ * @param {boolean} enabled - true: simple transparency, false: restore transmission
+ * @returns {number} Materials changed
+ */
+export function setTransmissionFallback(model, enabled) {
+  const changed = new Set();
+  model.traverse((node) => {
+    if (!node.isMesh) {
+      return;
+    }
+    getMaterials(node).forEach((material) => {
+      const original = material.userData.transmissionFallback;
+      if (enabled && !original && material.transmission > 0) {
+        material.userData.transmissionFallback = { transmission: material.transmission, opacity: material.opacity, transparent: material.transparent };
+        material.opacity = Math.min(material.opacity, 1 - 0.7 * material.transmission);
+        material.transmission = 0;
+        material.transparent = true;
+      } else if (!enabled && original) {
+        Object.assign(material, original);
+        delete material.userData.transmissionFallback;
+      } else {
+        return;
+      }
+      material.needsUpdate = true;
+      changed.add(material);
+    });
+  });
+  if (changed.size > 0) {
+    console.log(`🪟 Transmission ${enabled ? '→ alpha blending' : 'restored'} (${changed.size} materials)`);
+  }
+  return changed.size;
+}
+
+/**
+ * Return the first rule matching a mesh, or null
+ * @param {THREE.Mesh} mesh - Mesh to test
+ * @param {Array} rules - Ordered rules
+ * @param {THREE.Object3D} root - Model root (node paths are relative to it)
+ */
+export function findMatchingRule(mesh, rules, root = null) {
+  const materials = getMaterials(mesh);
+  const path = getNodePath(mesh, root);
+  return rules.find((rule) => matchesRule(rule.match || {}, mesh, materials, path)) || null;
+}
+
+function matchesRule(match, mesh, materials, path) {
+  if (match.meshName && !containsAny(mesh.name, match.meshName)) {
+    return false;
+  }
+  if (match.materialName && !materials.some((mat) => containsAny(mat.name, match.materialName))) {
+    return false;
+  }
+  if (match.nodePath && !globToRegExp(match.nodePath).test(path)) {
+    return false;
+  }
+  if (match.material && !materials.some((mat) => matchesProperties(mat, match.material))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Property tests: exact value, null (property absent/unset), or { lt, lte, gt, gte }
+ */
+function matchesProperties(material, tests) {
+  return Object.entries(tests).every(([prop, test]) => {
+    const value = material[prop];
+    if (test === null) {
+      return value === null || value === undefined;
+    }
+    if (typeof test === 'object') {
+      if (typeof value !== 'number') {
+        return false;
+      }
+      return (test.lt === undefined || value < test.lt)
+        && (test.lte === undefined || value <= test.lte)
+        && (test.gt === undefined || value > test.gt)
+        && (test.gte === undefined || value >= test.gte);
+    }
+    return value === test;
+  });
+}
+
+function containsAny(name, keywords) {
+  const lower = (name || '').toLowerCase();
+  return keywords.some((keyword) => lower.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Slash-joined names from just below the root down to the node, e.g. "Body/Windows/Windshield"
+ */
+export function getNodePath(node, root = null) {
+  const names = [];
+  let current = node;
+  while (current && current !== root) {
+    names.unshift(current.name || '');
+    current = current.parent;
+  }
+  return names.join('/');
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+/**
+ * Turn color strings in rule params into THREE.Color
+ */
+function resolveParams(params = {}) {
+  const resolved = { ...params };
+  ['color', 'emissive', 'sheenColor', 'attenuationColor'].forEach((key) => {
+    if (typeof resolved[key] === 'string') {
+      resolved[key] = new THREE.Color(resolved[key]);
+    }
+  });
+  return resolved;
+}
+
+function inheritMaps(source, keys) {
+  const maps = {};
+  keys.forEach((key) => {
+    if (source?.[key]) {
+      maps[key] = source[key];
+    }
+  });
+  return maps;
+}
+
+function getMaterials(mesh) {
+  if (Array.isArray(mesh.material)) {
+    return mesh.material.filter(Boolean);
+  }
+  return mesh.material ? [mesh.material] : [];
+}
@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+
+/**
+ * glTF animation clips driven by scroll or time
+ *
+ * Scroll bindings map a progress range of the scroll timeline onto a clip's
+ * duration, so scrolling opens the drawer and scrolling back closes it, frame
+ * for frame. Loop bindings play on the clock, either always or only while the
+ * section is not pinned.
+ */
+
+/**
+ * Create an AnimationMixer for the loaded model and index its clips by name
+ * @param {THREE.Object3D} model - Loaded glTF scene
+ * @param {THREE.AnimationClip[]} clips - gltf.animations
+ * @returns {Object} Controller { mixer, clips, scrub, play, stop, update, takeMoved }
+ */
+export function createAnimationController(model, clips = []) {
+  const mixer = new THREE.AnimationMixer(model);
+  const byName = new Map(clips.map((clip) => [clip.name, clip]));
+  const loops = [];
+  const scrubbed = new Set();
+  // Whether any clip posed the model differently since takeMoved() was last called
+  let moved = false;
+
+  const getAction = (name) => {
+    const clip = byName.get(name);
+    if (!clip) {
+      console.warn(`⚠️ Animation clip "${name}" not found (available: ${[...byName.keys()].join(', ') || 'none'})`);
+      return null;
+    }
+    return mixer.clipAction(clip);
+  };
+
+  /**
+   * Pose a clip at a normalized time (0 → 1) without advancing the clock
+   */
+  const scrub = (name, t) => {
+    const action = getAction(name);
+    if (!action) {
+      return;
+    }
+    if (!scrubbed.has(action)) {
+      action.setLoop(THREE.LoopOnce, 1);
+      action.clampWhenFinished = true;
+      action.play();
+      scrubbed.add(action);
+    }
+    action.paused = true;
+    const time = THREE.MathUtils.clamp(t, 0, 1) * action.getClip().duration;
+    if (action.time !== time) {
+      moved = true;
+    }
+    action.time = time;
+    mixer.update(0);
+  };
+
+  /**
+   * Play a clip on the clock
+   * @param {string} name - Clip name
+   * @param {Object} opts - { loop (default true), timeScale, when: 'always' | 'unpinned' }
+   */
+  const play = (name, opts = {}) => {
+    const { loop = true, timeScale = 1, when = 'always' } = opts;
+    const action = getAction(name);
+    if (!action) {
+      return null;
+    }
+    action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    action.clampWhenFinished = !loop;
+    action.timeScale = timeScale;
+    action.play();
+    const entry = loops.find((loopEntry) => loopEntry.action === action);
+    if (entry) {
+      entry.when = when;
+    } else {
+      loops.push({ action, when });
+    }
+    return action;
+  };
+
+  const stop = (name) => {
+    const action = getAction(name);
+    if (action) {
+      action.stop();
+      const index = loops.findIndex((entry) => entry.action === action);
+      if (index !== -1) {
+        loops.splice(index, 1);
+      }
+    }
+  };
+
+  /**
+   * Advance time-driven clips (call every frame)
+   * @param {number} delta - Seconds since last frame
+   * @param {Object} state - { pinned } whether the scroll section is currently pinned
+   * @returns {boolean} Whether any clip advanced (the frame needs rendering)
+   */
+  const update = (delta, state = {}) => {
+    if (loops.length === 0) {
+      return false;
+    }
+    loops.forEach(({ action, when }) => {
+      action.paused = when === 'unpinned' && Boolean(state.pinned);
+    });
+    mixer.update(delta);
+    const running = loops.some(({ action }) => action.isRunning());
+    if (running && delta > 0) {
+      moved = true;
+    }
+    return running;
+  };
+
+  /**
+   * Whether a clip moved parts since the last call (scrubbed or advanced), e.g. to redraw the contact shadow
+   * @returns {boolean}
+   */
+  const takeMoved = () => {
+    const result = moved;
+    moved = false;
+    return result;
+  };
+
+  console.log(`🎞️  Animation clips: ${clips.length ? clips.map((clip) => clip.name).join(', ') : 'none'}`);
+
+  return { mixer, clips: byName, scrub, play, stop, update, takeMoved };
+}
+
+/**
+ * Bind scroll-mode clips to the scroll timeline as driver tweens
+ * Call again for every rebuilt timeline; loop-mode bindings are ignored here.
+ * @param {gsap.core.Timeline} tl - Scroll timeline (progress 0 → 1)
+ * @param {Object} controller - From createAnimationController
+ * @param {Array} bindings - Manifest `animations` ([{ clip, mode: 'scroll', start, end, ease }])
+ */
+export function bindClipsToTimeline(tl, controller, bindings = []) {
+  bindings.filter((binding) => (binding.mode || 'scroll') === 'scroll').forEach((binding) => {
+    const { clip, start = 0, end = 1, ease = 'none' } = binding;
+    if (!controller.clips.has(clip)) {
+      console.warn(`⚠️ Animation binding skipped: clip "${clip}" not in model`);
+      return;
+    }
+
+    controller.scrub(clip, 0);
+    if (tl) {
+      tl.fromTo({ t: 0 }, { t: 0 }, {
+        t: 1,
+        duration: end - start,
+        ease,
+        immediateRender: false,
+        onUpdate: function () {
+          controller.scrub(clip, this.targets()[0].t);
+        }
+      }, start);
+    }
+    console.log(`🎞️  Clip "${clip}" bound to progress ${start}–${end}`);
+  });
+}
+
+/**
+ * Start loop-mode clips on the clock
+ * @param {Object} controller - From createAnimationController
+ * @param {Array} bindings - Manifest `animations` ([{ clip, mode: 'loop', when, timeScale }])
+ */
+export function startClipLoops(controller, bindings = []) {
+  bindings.filter((binding) => binding.mode === 'loop').forEach(({ clip, when, timeScale }) => {
+    if (controller.play(clip, { when, timeScale })) {
+      console.log(`🎞️  Clip "${clip}" looping (${when || 'always'})`);
+    }
+  });
+}
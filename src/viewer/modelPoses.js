@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+
+/**
+ * Model-relative camera poses
+ *
+ * World poses only fit the model they were tuned on (after loadModel centers
+ * and maybe rescales it). With a manifest `poseSpace` other than 'world',
+ * keyframes are stored relative to the loaded model and resolved against its
+ * bounds at load time, so one timeline fits every vehicle variant:
+ *   'sphere' - rigPos, target and camLocalPos are offsets from the bounding
+ *              sphere center, in radius units
+ *   'box'    - rigPos and target are normalized bounding box offsets
+ *              (-1 → 1 from the center to each face); camLocalPos stays in
+ *              radius units so camera distance scales with the model
+ * rigRot, rigQuat, camWorldQuat and fov are angles and pass through unchanged.
+ */
+
+export const POSE_SPACES = ['world', 'sphere', 'box'];
+
+/**
+ * Bounds that relative poses are measured against
+ * @param {THREE.Box3} box - Model bounding box (omit for a unit frame at the origin)
+ * @returns {{ center: THREE.Vector3, radius: number, halfSize: THREE.Vector3 }}
+ */
+export function createModelFrame(box = null) {
+  if (!box || box.isEmpty()) {
+    return { center: new THREE.Vector3(), radius: 1, halfSize: new THREE.Vector3(1, 1, 1) };
+  }
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const halfSize = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+  // A flat model has no extent on one axis; measure that axis in radius units instead
+  ['x', 'y', 'z'].forEach((axis) => {
+    if (halfSize[axis] < 1e-6) {
+      halfSize[axis] = sphere.radius || 1;
+    }
+  });
+  return { center: sphere.center, radius: sphere.radius || 1, halfSize };
+}
+
+/**
+ * Resolve a pose stored in `space` into world coordinates
+ * @param {Object} pose - Pose or keyframe (extra fields such as name/progress are kept)
+ * @param {string} space - One of POSE_SPACES
+ * @param {Object} frame - From createModelFrame
+ * @returns {Object} World pose
+ */
+export function toWorldPose(pose, space, frame) {
+  if (space === 'world') {
+    return { ...pose };
+  }
+  const scale = pointScale(space, frame);
+  const point = (v) => ({
+    x: frame.center.x + v.x * scale.x,
+    y: frame.center.y + v.y * scale.y,
+    z: frame.center.z + v.z * scale.z,
+  });
+  return convert(pose, point, (v) => ({ x: v.x * frame.radius, y: v.y * frame.radius, z: v.z * frame.radius }));
+}
+
+/**
+ * Express a world pose relative to the model (inverse of toWorldPose)
+ * @param {Object} pose - World pose or keyframe
+ * @param {string} space - One of POSE_SPACES
+ * @param {Object} frame - From createModelFrame
+ * @returns {Object} Pose in `space`, rounded like capturePose
+ */
+export function toModelPose(pose, space, frame) {
+  if (space === 'world') {
+    return { ...pose };
+  }
+  const scale = pointScale(space, frame);
+  const point = (v) => ({
+    x: round((v.x - frame.center.x) / scale.x),
+    y: round((v.y - frame.center.y) / scale.y),
+    z: round((v.z - frame.center.z) / scale.z),
+  });
+  return convert(pose, point, (v) => ({ x: round(v.x / frame.radius), y: round(v.y / frame.radius), z: round(v.z / frame.radius) }));
+}
+
+/**
+ * Resolve a keyframe list into world coordinates
+ */
+export function resolveKeyframes(keyframes, space, frame) {
+  return keyframes.map((kf) => toWorldPose(kf, space, frame));
+}
+
+function pointScale(space, frame) {
+  return space === 'box' ? frame.halfSize : { x: frame.radius, y: frame.radius, z: frame.radius };
+}
+
+/**
+ * Map a pose's points (rigPos, target, camWorldPos) and rig-local offset (camLocalPos)
+ */
+function convert(pose, point, offset) {
+  const result = { ...pose };
+  ['rigPos', 'target', 'camWorldPos'].forEach((key) => {
+    if (pose[key]) {
+      result[key] = point(pose[key]);
+    }
+  });
+  if (pose.camLocalPos) {
+    result.camLocalPos = offset(pose.camLocalPos);
+  }
+  return result;
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(6));
+}
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+/**
+ * Orbit-aware interpolation between two poses
+ *
+ * Linear tweens cut across the chord between START and END, so the camera
+ * drifts toward the model mid-move. Here the camera's world position is
+ * interpolated in spherical coordinates around the (interpolated) target:
+ * azimuth takes the shortest way round, elevation and distance blend
+ * linearly. The rig orientation is slerped from rigQuat (or rigRot).
+ * The camera still looks at targetProxy through applyTarget.
+ */
+
+const _rigMatrix = new THREE.Matrix4();
+const _scale = new THREE.Vector3(1, 1, 1);
+const _offset = new THREE.Vector3();
+const _spherical = new THREE.Spherical();
+
+/**
+ * Create an interpolator for one pose segment
+ * @param {Object} from - Pose at t = 0 (rigPos, rigRot|rigQuat, camLocalPos, target, fov)
+ * @param {Object} to - Pose at t = 1
+ * @returns {Function} (t, out) => out with rigPos, rigQuat, camLocalPos, target (THREE types) and fov
+ */
+export function createOrbitInterpolator(from, to) {
+  const a = resolvePose(from);
+  const b = resolvePose(to);
+
+  // Spherical coords of each camera around its own target
+  const sa = new THREE.Spherical().setFromVector3(_offset.subVectors(a.camWorldPos, a.target));
+  const sb = new THREE.Spherical().setFromVector3(_offset.subVectors(b.camWorldPos, b.target));
+
+  // Shortest azimuth path (theta wraps at ±π)
+  let deltaTheta = sb.theta - sa.theta;
+  if (deltaTheta > Math.PI) deltaTheta -= Math.PI * 2;
+  if (deltaTheta < -Math.PI) deltaTheta += Math.PI * 2;
+
+  return (t, out = createOrbitState()) => {
+    out.rigPos.lerpVectors(a.rigPos, b.rigPos, t);
+    out.rigQuat.slerpQuaternions(a.rigQuat, b.rigQuat, t);
+    out.target.lerpVectors(a.target, b.target, t);
+    out.fov = a.fov + (b.fov - a.fov) * t;
+
+    _spherical.set(
+      sa.radius + (sb.radius - sa.radius) * t,
+      sa.phi + (sb.phi - sa.phi) * t,
+      sa.theta + deltaTheta * t
+    );
+    const camWorldPos = _offset.setFromSpherical(_spherical).add(out.target);
+
+    // Express the orbiting world position in the interpolated rig's local space
+    setCamLocalFromWorld(out, camWorldPos);
+    return out;
+  };
+}
+
+/**
+ * Set out.camLocalPos so the camera lands on a world position, given out.rigPos / out.rigQuat
+ * @param {Object} out - Orbit state (see createOrbitState)
+ * @param {THREE.Vector3} camWorldPos - Desired camera world position
+ */
+export function setCamLocalFromWorld(out, camWorldPos) {
+  _rigMatrix.compose(out.rigPos, out.rigQuat, _scale).invert();
+  out.camLocalPos.copy(camWorldPos).applyMatrix4(_rigMatrix);
+  return out;
+}
+
+/**
+ * Create a reusable output object for an orbit interpolator
+ */
+export function createOrbitState() {
+  return {
+    rigPos: new THREE.Vector3(),
+    rigQuat: new THREE.Quaternion(),
+    camLocalPos: new THREE.Vector3(),
+    target: new THREE.Vector3(),
+    fov: 30,
+  };
+}
+
+/**
+ * Convert a pose's plain objects into THREE types and compute camera world position
+ * @param {Object} pose - Pose with rigPos, rigRot|rigQuat, camLocalPos, target, fov
+ * @returns {{rigPos: THREE.Vector3, rigQuat: THREE.Quaternion, camWorldPos: THREE.Vector3, target: THREE.Vector3, fov: number}}
+ */
+export function resolvePose(pose) {
+  const rigPos = new THREE.Vector3(pose.rigPos.x, pose.rigPos.y, pose.rigPos.z);
+  const rigQuat = pose.rigQuat
+    ? new THREE.Quaternion(pose.rigQuat.x, pose.rigQuat.y, pose.rigQuat.z, pose.rigQuat.w).normalize()
+    : new THREE.Quaternion().setFromEuler(new THREE.Euler(pose.rigRot.x, pose.rigRot.y, pose.rigRot.z));
+  const camLocalPos = new THREE.Vector3(pose.camLocalPos.x, pose.camLocalPos.y, pose.camLocalPos.z);
+  const camWorldPos = camLocalPos.clone().applyMatrix4(new THREE.Matrix4().compose(rigPos, rigQuat, _scale));
+  const target = new THREE.Vector3(pose.target.x, pose.target.y, pose.target.z);
+
+  return { rigPos, rigQuat, camWorldPos, target, fov: pose.fov ?? 30 };
+}
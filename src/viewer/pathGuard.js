@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { applyPose, createPoseTimeline } from './scrollTimeline.js';
+
+/**
+ * Default collision guard settings (overridable per scene via manifest `collision`)
+ * margin: multiple of the model's bounding-sphere radius the camera must stay outside
+ * mode:   'warn' logs where the path enters the sphere, 'push' also moves the camera out
+ */
+export const GUARD_DEFAULTS = {
+  enabled: true,
+  margin: 1.0,
+  mode: 'warn',
+};
+
+const _camWorld = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+
+/**
+ * Create a bounding-sphere collision guard for the camera
+ * @param {THREE.Sphere} sphere - Model bounding sphere (from loadModel)
+ * @param {Object} opts - { margin, mode }
+ * @returns {{sphere: THREE.Sphere, radius: number, mode: string, constrain: Function, audit: Function}}
+ */
+export function createCollisionGuard(sphere, opts = {}) {
+  const { margin = GUARD_DEFAULTS.margin, mode = GUARD_DEFAULTS.mode } = opts;
+  const radius = sphere.radius * margin;
+  let warned = false;
+
+  /**
+   * Keep the camera outside the guard sphere (call after the timeline writes the pose)
+   */
+  const constrain = (cameraRig, camera, targetProxy, applyTarget, progress = 0) => {
+    cameraRig.updateMatrixWorld();
+    camera.getWorldPosition(_camWorld);
+    const distance = _camWorld.distanceTo(sphere.center);
+    if (distance >= radius) {
+      warned = false;
+      return false;
+    }
+
+    if (mode === 'push') {
+      // Project out along the center → camera direction (straight up if dead center)
+      _dir.subVectors(_camWorld, sphere.center);
+      if (_dir.lengthSq() === 0) {
+        _dir.set(0, 1, 0);
+      }
+      _camWorld.copy(sphere.center).addScaledVector(_dir.normalize(), radius);
+      camera.position.copy(cameraRig.worldToLocal(_camWorld));
+      if (applyTarget) {
+        applyTarget(targetProxy);
+      }
+    } else if (!warned) {
+      console.warn(`⚠️ Camera inside model bounds at progress ${progress.toFixed(3)} (distance ${distance.toFixed(2)} < ${radius.toFixed(2)})`);
+      warned = true;
+    }
+    return true;
+  };
+
+  /**
+   * Report every progress range where sampled path points fall inside the guard sphere
+   * @param {Array<{progress: number, position: THREE.Vector3}>} samples - From sampleCameraPath
+   * @returns {Array<{start: number, end: number}>} Offending ranges
+   */
+  const audit = (samples) => {
+    const ranges = [];
+    let current = null;
+    samples.forEach(({ progress, position }) => {
+      const inside = position.distanceTo(sphere.center) < radius;
+      if (inside && !current) {
+        current = { start: progress, end: progress };
+        ranges.push(current);
+      } else if (inside) {
+        current.end = progress;
+      } else {
+        current = null;
+      }
+    });
+
+    ranges.forEach(({ start, end }) => {
+      const action = mode === 'push' ? 'camera will be pushed out' : 'adjust the keyframes';
+      console.warn(`⚠️ Camera path enters model bounds between progress ${start.toFixed(3)} and ${end.toFixed(3)} (${action})`);
+    });
+    if (ranges.length === 0) {
+      console.log(`✅ Camera path clear of model bounds (radius ${radius.toFixed(2)})`);
+    }
+    return ranges;
+  };
+
+  return { sphere, radius, mode, constrain, audit };
+}
+
+/**
+ * Sample the camera's world position along a keyframe timeline
+ * Drives a throwaway rig/camera so the live view is untouched.
+ * @param {Array} keyframes - Ordered keyframe list
+ * @param {Object} opts - { samples, cameraPath }
+ * @returns {Array<{progress: number, position: THREE.Vector3}>}
+ */
+export function sampleCameraPath(keyframes, opts = {}) {
+  const { samples = 200, cameraPath } = opts;
+  const rig = new THREE.Object3D();
+  const camera = new THREE.PerspectiveCamera();
+  rig.add(camera);
+  const proxy = { x: 0, y: 0, z: 0 };
+
+  // A fresh timeline at progress 0 renders nothing, so seed the first pose
+  applyPose(rig, camera, proxy, null, keyframes[0]);
+  const tl = createPoseTimeline(rig, camera, proxy, null, keyframes, { cameraPath });
+  const points = [];
+  for (let i = 0; i <= samples; i++) {
+    const progress = i / samples;
+    tl.progress(progress);
+    rig.updateMatrixWorld();
+    points.push({ progress, position: camera.getWorldPosition(new THREE.Vector3()) });
+  }
+  tl.kill();
+  return points;
+}
+
+/**
+ * Build a debug helper showing the camera path, waypoints and guard sphere
+ * @param {Array<{progress: number, position: THREE.Vector3}>} samples - From sampleCameraPath
+ * @param {Array} keyframes - Keyframes (waypoint markers)
+ * @param {Object} guard - Optional collision guard (draws its sphere, colors path red inside it)
+ * @returns {THREE.Group}
+ */
+export function createPathHelper(samples, keyframes, guard = null) {
+  const group = new THREE.Group();
+  group.name = 'CameraPathHelper';
+
+  // Path line, colored per vertex: cyan outside the guard, red inside
+  const positions = [];
+  const colors = [];
+  const clear = new THREE.Color(0x4a9eff);
+  const hit = new THREE.Color(0xff4444);
+  samples.forEach(({ position }) => {
+    positions.push(position.x, position.y, position.z);
+    const inside = guard && position.distanceTo(guard.sphere.center) < guard.radius;
+    const color = inside ? hit : clear;
+    colors.push(color.r, color.g, color.b);
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  group.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false })));
+
+  // Waypoint markers at each keyframe's progress
+  const markerGeometry = new THREE.SphereGeometry(0.05, 12, 8);
+  const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffcc00, depthTest: false });
+  keyframes.forEach((kf) => {
+    const nearest = samples.reduce((best, s) => (Math.abs(s.progress - kf.progress) < Math.abs(best.progress - kf.progress) ? s : best));
+    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+    marker.position.copy(nearest.position);
+    marker.name = `waypoint:${kf.name}`;
+    group.add(marker);
+  });
+
+  // Guard sphere
+  if (guard) {
+    const sphereMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(guard.radius, 24, 16),
+      new THREE.MeshBasicMaterial({ color: 0xff4444, wireframe: true, transparent: true, opacity: 0.15 })
+    );
+    sphereMesh.position.copy(guard.sphere.center);
+    group.add(sphereMesh);
+  }
+
+  group.renderOrder = 999;
+  return group;
+}
@@ -0,0 +1,332 @@
+import { capturePose } from './initViewer.js';
+import { applyPose, createPoseTimeline, buildSegments } from './scrollTimeline.js';
+import { validateSceneManifest } from './sceneManifest.js';
+
+const EASES = ['none', 'power1.inOut', 'power2.inOut', 'power3.inOut', 'sine.inOut', 'expo.inOut'];
+const INTERPOLATIONS = ['linear', 'orbital', 'spline'];
+
+/**
+ * Create the in-browser pose authoring panel (toggle with K)
+ * Dev-only: ScrollViewer imports this module dynamically under import.meta.env.DEV, so
+ * the panel, its storage and its logging never reach a production build.
+ * Captures the current view into a named keyframe list that can be reordered,
+ * renamed, previewed and scrubbed. The list persists in localStorage and
+ * exports/imports as the `keyframes` array of a scene manifest.
+ * The panel edits world poses; storage, export and import use the manifest's
+ * pose space through the toManifest / toWorld converters.
+ * @param {Object} viewer - { cameraRig, camera, controls, targetProxy, applyTarget }
+ * @param {Object} opts - { storageKey, keyframes (initial world list), timelineOptions ({ cameraPath, guard }), onApply(keyframes),
+ *   toManifest(keyframes) / toWorld(keyframes) (convert to and from the manifest's poseSpace; identity by default) }
+ * @returns {{ toggle: Function, getKeyframes: Function, dispose: Function }}
+ */
+export function createPoseAuthoring(viewer, opts = {}) {
+  const { cameraRig, camera, controls, targetProxy, applyTarget } = viewer;
+  const {
+    storageKey = 'pose-authoring',
+    keyframes: initialKeyframes = [],
+    timelineOptions = {},
+    onApply,
+    toManifest = (frames) => frames,
+    toWorld = (frames) => frames,
+  } = opts;
+
+  const stored = loadKeyframes(storageKey);
+  let keyframes = stored ? toWorld(stored) : initialKeyframes.map((kf) => ({ ...kf }));
+  let previewTimeline = null;
+
+  const panel = createPanel();
+  const list = panel.querySelector('[data-role="list"]');
+  const slider = panel.querySelector('[data-role="scrub"]');
+  const message = panel.querySelector('[data-role="message"]');
+  const fileInput = panel.querySelector('[data-role="file"]');
+
+  /**
+   * Persist, invalidate the preview timeline and redraw the list
+   */
+  const commit = () => {
+    saveKeyframes(storageKey, toManifest(keyframes));
+    killPreview();
+    render();
+  };
+
+  const killPreview = () => {
+    if (previewTimeline) {
+      previewTimeline.kill();
+      previewTimeline = null;
+    }
+  };
+
+  const setMessage = (text, isError = false) => {
+    message.textContent = text;
+    message.style.color = isError ? '#ff6b6b' : '#888';
+  };
+
+  // Keep OrbitControls target in sync so orbiting continues from the previewed view
+  const syncControls = () => {
+    controls.target.set(targetProxy.x, targetProxy.y, targetProxy.z);
+  };
+
+  const render = () => {
+    list.innerHTML = '';
+    keyframes.forEach((kf, i) => {
+      const row = document.createElement('div');
+      row.dataset.index = i;
+      row.style.cssText = 'display: flex; gap: 4px; align-items: center; margin-bottom: 4px;';
+      row.innerHTML = `
+        <input data-field="name" value="${escapeAttr(kf.name)}" style="width: 80px;">
+        <input data-field="progress" type="number" min="0" max="1" step="0.01" value="${kf.progress}" style="width: 56px;">
+        <select data-field="ease" style="width: 92px;">
+          ${EASES.map((ease) => `<option ${ease === (kf.ease || 'none') ? 'selected' : ''}>${ease}</option>`).join('')}
+        </select>
+        <select data-field="interpolation" style="width: 64px;" title="Interpolation into this keyframe">
+          ${INTERPOLATIONS.map((mode) => `<option ${mode === (kf.interpolation || 'linear') ? 'selected' : ''}>${mode}</option>`).join('')}
+        </select>
+        <button data-action="preview" title="Preview">▶</button>
+        <button data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+        <button data-action="down" title="Move down" ${i === keyframes.length - 1 ? 'disabled' : ''}>↓</button>
+        <button data-action="delete" title="Delete">✕</button>
+      `;
+      list.appendChild(row);
+    });
+
+    const error = getTimelineError(keyframes);
+    slider.disabled = Boolean(error);
+    if (error) {
+      setMessage(error, true);
+    } else {
+      setMessage(`${keyframes.length} keyframes`);
+    }
+  };
+
+  // Row edits (rename, progress, ease, interpolation)
+  list.addEventListener('change', (e) => {
+    const row = e.target.closest('[data-index]');
+    const field = e.target.dataset.field;
+    if (!row || !field) {
+      return;
+    }
+    const kf = keyframes[Number(row.dataset.index)];
+    if (field === 'progress') {
+      kf.progress = parseFloat(e.target.value);
+    } else {
+      kf[field] = e.target.value.trim();
+    }
+    commit();
+  });
+
+  // Row buttons
+  list.addEventListener('click', (e) => {
+    const action = e.target.dataset.action;
+    const row = e.target.closest('[data-index]');
+    if (!action || !row) {
+      return;
+    }
+    const i = Number(row.dataset.index);
+    switch (action) {
+      case 'preview':
+        killPreview();
+        applyPose(cameraRig, camera, targetProxy, applyTarget, keyframes[i]);
+        slider.value = keyframes[i].progress;
+        syncControls();
+        setMessage(`Previewing "${keyframes[i].name}"`);
+        return;
+      case 'up':
+        [keyframes[i - 1], keyframes[i]] = [keyframes[i], keyframes[i - 1]];
+        break;
+      case 'down':
+        [keyframes[i + 1], keyframes[i]] = [keyframes[i], keyframes[i + 1]];
+        break;
+      case 'delete':
+        keyframes.splice(i, 1);
+        break;
+      default:
+        return;
+    }
+    commit();
+  });
+
+  // Toolbar
+  panel.querySelector('[data-role="toolbar"]').addEventListener('click', (e) => {
+    switch (e.target.dataset.action) {
+      case 'capture':
+        keyframes.push({
+          name: uniqueName(keyframes, `POSE_${keyframes.length + 1}`),
+          progress: 1,
+          ease: 'none',
+          ...capturePose(cameraRig, camera, controls),
+        });
+        commit();
+        console.log(`📸 Keyframe captured: ${keyframes[keyframes.length - 1].name}`);
+        break;
+      case 'distribute':
+        keyframes.forEach((kf, i) => {
+          kf.progress = keyframes.length > 1 ? parseFloat((i / (keyframes.length - 1)).toFixed(4)) : 0;
+          delete kf.hold;
+        });
+        commit();
+        break;
+      case 'export':
+        exportKeyframes(toManifest(keyframes));
+        break;
+      case 'import':
+        fileInput.click();
+        break;
+      case 'apply': {
+        const error = getTimelineError(keyframes);
+        if (error) {
+          setMessage(error, true);
+        } else if (onApply) {
+          killPreview();
+          onApply(keyframes.map((kf) => ({ ...kf })));
+          setMessage('Applied to scroll timeline');
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  // Import JSON (keyframe array or full scene manifest)
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      const json = JSON.parse(await file.text());
+      const imported = Array.isArray(json) ? json : json.keyframes;
+      validateSceneManifest({ keyframes: imported }, file.name);
+      keyframes = toWorld(imported.map((kf) => ({ ...kf })));
+      commit();
+      setMessage(`Imported ${keyframes.length} keyframes from ${file.name}`);
+    } catch (error) {
+      console.error(error.message);
+      setMessage(error.errors ? error.errors[0] : `Import failed: ${error.message}`, true);
+    }
+  });
+
+  // Scrub between keyframes
+  slider.addEventListener('input', () => {
+    if (!previewTimeline) {
+      previewTimeline = createPoseTimeline(cameraRig, camera, targetProxy, applyTarget, keyframes, timelineOptions);
+    }
+    previewTimeline.progress(parseFloat(slider.value));
+    syncControls();
+  });
+
+  const toggle = () => {
+    const visible = panel.style.display === 'none';
+    panel.style.display = visible ? 'block' : 'none';
+    if (!visible) {
+      killPreview();
+    }
+    console.log(`🎬 Pose authoring ${visible ? 'OPEN' : 'CLOSED'}`);
+  };
+
+  const dispose = () => {
+    killPreview();
+    panel.remove();
+  };
+
+  render();
+
+  return { toggle, getKeyframes: () => keyframes.map((kf) => ({ ...kf })), dispose };
+}
+
+/**
+ * Create authoring panel DOM (hidden until toggled)
+ */
+function createPanel() {
+  const div = document.createElement('div');
+  div.className = 'pose-authoring';
+  div.style.cssText = `
+    display: none;
+    position: fixed;
+    top: 20px;
+    left: 20px;
+    padding: 12px 16px;
+    background: rgba(0, 0, 0, 0.85);
+    color: #fff;
+    font-family: 'Courier New', monospace;
+    font-size: 12px;
+    border-radius: 4px;
+    z-index: 1000;
+    max-height: calc(100vh - 40px);
+    overflow-y: auto;
+  `;
+  div.innerHTML = `
+    <div style="margin-bottom: 8px; font-weight: bold;">🎬 Pose Authoring</div>
+    <div data-role="toolbar" style="display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 8px;">
+      <button data-action="capture">Capture view</button>
+      <button data-action="distribute">Distribute</button>
+      <button data-action="apply">Apply to scroll</button>
+      <button data-action="export">Export</button>
+      <button data-action="import">Import</button>
+    </div>
+    <div data-role="list"></div>
+    <input data-role="scrub" type="range" min="0" max="1" step="0.001" value="0" style="width: 100%; margin-top: 8px;">
+    <div data-role="message" style="font-size: 10px; margin-top: 8px; color: #888;"></div>
+    <input data-role="file" type="file" accept="application/json,.json" style="display: none;">
+  `;
+  document.body.appendChild(div);
+  return div;
+}
+
+/**
+ * Return the timeline validation error for a keyframe list, or null if it is usable
+ */
+function getTimelineError(keyframes) {
+  try {
+    buildSegments(keyframes);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function loadKeyframes(storageKey) {
+  try {
+    const stored = localStorage.getItem(storageKey);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('⚠️ Stored keyframes unreadable, starting fresh');
+    return null;
+  }
+}
+
+function saveKeyframes(storageKey, keyframes) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(keyframes));
+  } catch (error) {
+    console.warn('⚠️ Could not persist keyframes to localStorage');
+  }
+}
+
+/**
+ * Download keyframes as JSON, ready to paste into a scene manifest's `keyframes`
+ */
+function exportKeyframes(keyframes) {
+  const blob = new Blob([JSON.stringify({ keyframes }, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'keyframes.json';
+  a.click();
+  URL.revokeObjectURL(url);
+  console.log(`💾 Exported ${keyframes.length} keyframes`);
+}
+
+function uniqueName(keyframes, base) {
+  let name = base;
+  let n = 2;
+  while (keyframes.some((kf) => kf.name === name)) {
+    name = `${base}_${n++}`;
+  }
+  return name;
+}
+
+function escapeAttr(value = '') {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { GTAOPass } from 'three/examples/jsm/postprocessing/GTAOPass.js';
+import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
+import { BokehPass } from 'three/examples/jsm/postprocessing/BokehPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { SMAAPass } from 'three/examples/jsm/postprocessing/SMAAPass.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+
+/**
+ * Pass parameters that keyframes may animate (keyframes[].postProcessing)
+ */
+export const POST_KEYFRAME_FIELDS = {
+  ao: ['radius', 'intensity'],
+  bloom: ['strength', 'radius', 'threshold'],
+  vignette: ['offset', 'darkness'],
+  dof: ['focusOffset', 'aperture', 'maxblur'],
+};
+
+export const AO_TYPES = ['gtao', 'ssao'];
+
+// Passes each level keeps ('off' renders straight to the canvas)
+const LEVEL_PASSES = {
+  full: ['ao', 'dof', 'bloom', 'vignette', 'smaa'],
+  light: ['bloom', 'vignette', 'smaa'],
+  off: [],
+};
+
+const _cameraPosition = new THREE.Vector3();
+const _focus = new THREE.Vector3();
+
+/**
+ * Post-processing pipeline: the scene through an EffectComposer instead of straight to the canvas
+ *
+ * Pass order: scene → ambient occlusion → depth of field → bloom → output
+ * (tone mapping + sRGB) → vignette → SMAA. Everything up to the output pass
+ * works on linear HDR color in half-float targets, so bloom picks out the
+ * highlights before tone mapping squeezes them. OutputPass reads the renderer's
+ * toneMapping, toneMappingExposure and outputColorSpace every frame, so
+ * configureRenderer and lighting preset fades keep applying through it.
+ * Vignette and SMAA run last, on display colors.
+ *
+ * Depth of field focuses on the camera's look-at target (getFocus), plus
+ * dof.focusOffset. Keyframes can animate any POST_KEYFRAME_FIELDS value; it is
+ * interpolated linearly between the keyframes that set it.
+ * @param {THREE.WebGLRenderer} renderer - Renderer (its canvas is the final target)
+ * @param {THREE.Scene} scene - Scene to render
+ * @param {THREE.PerspectiveCamera} camera - Camera to render with
+ * @param {Object} opts - { ao: { enabled, type ('gtao' | 'ssao'), radius, intensity (gtao only), samples }, bloom: { enabled, strength, radius, threshold }, dof: { enabled, focusOffset, aperture, maxblur }, vignette: { enabled, offset, darkness }, smaa: { enabled }, getFocus() (world point to focus on) }
+ * @returns {{ composer: EffectComposer, render: Function, setSize: Function, setLevel: Function, setParams: Function, getParams: Function, bindToTimeline: Function, update: Function, dispose: Function }}
+ */
+export function createPostProcessing(renderer, scene, camera, opts = {}) {
+  const {
+    ao = {},
+    bloom = {},
+    dof = {},
+    vignette = {},
+    smaa = {},
+    getFocus = () => null,
+  } = opts;
+
+  // Manifest values, and the values in effect once keyframes are applied
+  const base = {
+    ao: { radius: ao.radius ?? 0.25, intensity: ao.intensity ?? 1 },
+    bloom: { strength: bloom.strength ?? 0.4, radius: bloom.radius ?? 0.4, threshold: bloom.threshold ?? 0.85 },
+    vignette: { offset: vignette.offset ?? 1, darkness: vignette.darkness ?? 1.1 },
+    dof: { focusOffset: dof.focusOffset ?? 0, aperture: dof.aperture ?? 0.002, maxblur: dof.maxblur ?? 0.006 },
+  };
+  const params = structuredClone(base);
+  let frames = [];
+  let level = 'full';
+
+  // Without SMAA the scene target multisamples instead (the canvas's own MSAA is bypassed)
+  const size = renderer.getSize(new THREE.Vector2());
+  const pixelRatio = renderer.getPixelRatio();
+  const target = new THREE.WebGLRenderTarget(size.x * pixelRatio, size.y * pixelRatio, {
+    type: THREE.HalfFloatType,
+    samples: smaa.enabled ? 0 : 4,
+  });
+  target.texture.name = 'EffectComposer.rt1';
+  const composer = new EffectComposer(renderer, target);
+  composer.setPixelRatio(pixelRatio);
+  composer.setSize(size.x, size.y);
+  const width = size.x * pixelRatio;
+  const height = size.y * pixelRatio;
+
+  composer.addPass(new RenderPass(scene, camera));
+
+  const passes = {};
+  if (ao.enabled) {
+    if (ao.type === 'ssao') {
+      passes.ao = new SSAOPass(scene, camera, width, height);
+    } else {
+      passes.ao = new GTAOPass(scene, camera, width, height, undefined, { samples: ao.samples ?? 16 });
+    }
+    composer.addPass(passes.ao);
+  }
+  if (dof.enabled) {
+    passes.dof = new BokehPass(scene, camera, {});
+    composer.addPass(passes.dof);
+  }
+  if (bloom.enabled) {
+    passes.bloom = new UnrealBloomPass(new THREE.Vector2(width, height));
+    composer.addPass(passes.bloom);
+  }
+  composer.addPass(new OutputPass());
+  if (vignette.enabled) {
+    passes.vignette = new ShaderPass(VignetteShader);
+    composer.addPass(passes.vignette);
+  }
+  if (smaa.enabled) {
+    passes.smaa = new SMAAPass(width, height);
+    composer.addPass(passes.smaa);
+  }
+
+  /**
+   * Push params into the passes
+   */
+  const apply = () => {
+    if (passes.ao && ao.type === 'ssao') {
+      passes.ao.kernelRadius = params.ao.radius;
+    } else if (passes.ao) {
+      passes.ao.updateGtaoMaterial({ radius: params.ao.radius });
+      passes.ao.blendIntensity = params.ao.intensity;
+    }
+    if (passes.bloom) {
+      passes.bloom.strength = params.bloom.strength;
+      passes.bloom.radius = params.bloom.radius;
+      passes.bloom.threshold = params.bloom.threshold;
+    }
+    if (passes.vignette) {
+      passes.vignette.uniforms.offset.value = params.vignette.offset;
+      passes.vignette.uniforms.darkness.value = params.vignette.darkness;
+    }
+    if (passes.dof) {
+      passes.dof.uniforms.aperture.value = params.dof.aperture;
+      passes.dof.uniforms.maxblur.value = params.dof.maxblur;
+    }
+  };
+
+  /**
+   * Render one frame through the passes (focus follows the look-at target)
+   */
+  const render = () => {
+    if (level === 'off') {
+      renderer.render(scene, camera);
+      return;
+    }
+    if (passes.dof?.enabled) {
+      const focus = getFocus();
+      if (focus) {
+        camera.getWorldPosition(_cameraPosition);
+        const distance = _cameraPosition.distanceTo(_focus.set(focus.x, focus.y, focus.z));
+        passes.dof.uniforms.focus.value = Math.max(distance + params.dof.focusOffset, camera.near);
+      }
+    }
+    composer.render();
+  };
+
+  /**
+   * Match the canvas size and pixel ratio (call after renderer.setSize / setPixelRatio)
+   */
+  const setSize = () => {
+    renderer.getSize(size);
+    composer.setPixelRatio(renderer.getPixelRatio());
+    composer.setSize(size.x, size.y);
+  };
+
+  /**
+   * Drop the costly passes on slower devices (see QUALITY_TIERS)
+   * @param {string} name - 'full', 'light' (no AO or depth of field) or 'off' (no composer)
+   */
+  const setLevel = (name) => {
+    level = name;
+    Object.entries(passes).forEach(([key, pass]) => {
+      pass.enabled = LEVEL_PASSES[name].includes(key);
+    });
+  };
+
+  /**
+   * Value of one param at a progress: linear between the keyframes that set it, held before the first and after the last
+   */
+  const valueAt = (pass, key, progress) => {
+    const stops = frames.filter((kf) => Number.isFinite(kf.postProcessing?.[pass]?.[key]));
+    if (stops.length === 0) {
+      return base[pass][key];
+    }
+    const next = stops.findIndex((kf) => kf.progress > progress);
+    if (next === 0) {
+      return stops[0].postProcessing[pass][key];
+    }
+    if (next === -1) {
+      return stops[stops.length - 1].postProcessing[pass][key];
+    }
+    const a = stops[next - 1];
+    const b = stops[next];
+    const t = (progress - a.progress) / (b.progress - a.progress);
+    return gsap.utils.interpolate(a.postProcessing[pass][key], b.postProcessing[pass][key], t);
+  };
+
+  /**
+   * Params at a timeline progress (keyframe values, or the manifest's where none are set)
+   */
+  const update = (progress = 0) => {
+    Object.entries(POST_KEYFRAME_FIELDS).forEach(([pass, keys]) => {
+      keys.forEach((key) => {
+        params[pass][key] = valueAt(pass, key, progress);
+      });
+    });
+    apply();
+  };
+
+  /**
+   * Drive params from keyframes' `postProcessing` fields (tl = null: update(progress) only, e.g. static mode)
+   * Call again for every rebuilt timeline.
+   * @param {gsap.core.Timeline|null} tl - Scroll timeline (progress 0 → 1)
+   * @param {Array} keyframes - Ordered keyframes
+   */
+  const bindToTimeline = (tl, keyframes) => {
+    frames = keyframes;
+    if (!tl) {
+      update(0);
+      return;
+    }
+    tl.fromTo({ t: 0 }, { t: 0 }, {
+      t: 1,
+      duration: 1,
+      ease: 'none',
+      immediateRender: false,
+      onUpdate: function () {
+        update(this.targets()[0].t);
+      }
+    }, 0);
+    update(tl.progress());
+  };
+
+  /**
+   * Change the manifest values of keyframeable params, e.g. setParams({ bloom: { strength: 0.8 } })
+   * Keyframes that set the same param still win at their progress.
+   * @param {Object} values - Partial { ao, bloom, vignette, dof }
+   * @param {number} progress - Timeline progress to re-evaluate keyframes at
+   */
+  const setParams = (values = {}, progress = 0) => {
+    Object.entries(values).forEach(([pass, passValues]) => {
+      if (base[pass]) {
+        Object.assign(base[pass], passValues);
+      }
+    });
+    update(progress);
+  };
+
+  const dispose = () => {
+    composer.passes.forEach((pass) => pass.dispose());
+    composer.dispose();
+  };
+
+  apply();
+  console.log(`✅ Post-processing | ${Object.keys(passes).join(', ') || 'output only'}`);
+
+  return {
+    composer,
+    render,
+    setSize,
+    setLevel,
+    setParams,
+    getParams: () => structuredClone(params),
+    bindToTimeline,
+    update,
+    dispose,
+  };
+}
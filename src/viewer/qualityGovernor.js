@@ -0,0 +1,137 @@
+/**
+ * Quality tiers, best first
+ * `maxPixelRatio` caps devicePixelRatio below renderer.maxPixelRatio, and
+ * `shadowMapSize` caps lighting.studio.shadowMapSize. `transmission: false`
+ * swaps transmission glass for plain alpha blending (setTransmissionFallback).
+ * `postProcessing` is 'full' (every pass the scene enables), 'light' (no AO or
+ * depth of field) or 'off'.
+ */
+export const QUALITY_TIERS = {
+  high: { maxPixelRatio: 2, shadowMapSize: 2048, shadowType: 'PCFSoft', transmission: true, postProcessing: 'full' },
+  medium: { maxPixelRatio: 1.5, shadowMapSize: 1024, shadowType: 'PCF', transmission: true, postProcessing: 'light' },
+  low: { maxPixelRatio: 1, shadowMapSize: 512, shadowType: 'PCF', transmission: false, postProcessing: 'off' },
+};
+
+const TIER_NAMES = Object.keys(QUALITY_TIERS);
+
+// Longer gaps are idle time (on-demand rendering, a hidden tab), not frame time
+const MAX_FRAME_GAP = 0.25;
+
+/**
+ * Pick a quality tier from measured frame times
+ *
+ * Frame deltas are averaged over windows of `window` seconds of rendering.
+ * The tier steps down after `slowWindows` windows in a row average above
+ * `slowFrameTime`, and up after `fastWindows` in a row average below
+ * `fastFrameTime`. The gap between the two thresholds, the windows in a row
+ * and the window skipped after every change (shader compiles, resized targets)
+ * keep tiers from flickering mid-scroll. Each step down doubles the fast
+ * windows needed to come back up, so a device that can't hold a tier settles
+ * below it.
+ * @param {Object} opts - { tier ('auto' or a tier name to hold), start (tier 'auto' begins at), slowFrameTime (ms), fastFrameTime (ms), window (seconds), slowWindows, fastWindows, onChange(name, { auto, reason }) }
+ * @returns {{ sample: Function, setTier: Function, getTier: Function, isAuto: Function }}
+ */
+export function createQualityGovernor(opts = {}) {
+  const {
+    tier = 'auto',
+    start = 'high',
+    slowFrameTime = 25,
+    fastFrameTime = 18,
+    window: windowSeconds = 1,
+    slowWindows = 2,
+    fastWindows = 4,
+    onChange = () => {},
+  } = opts;
+
+  let auto = tier === 'auto';
+  let current = auto ? start : tier;
+  let elapsed = 0;
+  let frames = 0;
+  let slowCount = 0;
+  let fastCount = 0;
+  let drops = 0;
+  let settling = false;
+
+  const reset = () => {
+    elapsed = 0;
+    frames = 0;
+    slowCount = 0;
+    fastCount = 0;
+    settling = true;
+  };
+
+  const change = (name, reason) => {
+    current = name;
+    reset();
+    console.log(`🎚️  Quality: ${name} (${reason})`);
+    onChange(name, { auto, reason });
+  };
+
+  /**
+   * Feed one frame's delta (seconds since the previous frame)
+   */
+  const sample = (delta) => {
+    if (!auto || !(delta > 0) || delta > MAX_FRAME_GAP) {
+      return;
+    }
+    elapsed += delta;
+    frames++;
+    if (elapsed < windowSeconds) {
+      return;
+    }
+    const average = (elapsed / frames) * 1000;
+    elapsed = 0;
+    frames = 0;
+    if (settling) {
+      settling = false;
+      return;
+    }
+
+    slowCount = average > slowFrameTime ? slowCount + 1 : 0;
+    fastCount = average < fastFrameTime ? fastCount + 1 : 0;
+    const index = TIER_NAMES.indexOf(current);
+    if (slowCount >= slowWindows && index < TIER_NAMES.length - 1) {
+      drops++;
+      change(TIER_NAMES[index + 1], `${average.toFixed(1)} ms/frame`);
+    } else if (fastCount >= fastWindows * 2 ** Math.min(drops, 3) && index > 0) {
+      change(TIER_NAMES[index - 1], `${average.toFixed(1)} ms/frame`);
+    }
+  };
+
+  /**
+   * Hold a tier, or hand the choice back to the frame-time measurements
+   * @param {string} name - Tier name or 'auto' (resumes from the current tier)
+   */
+  const setTier = (name) => {
+    if (name !== 'auto' && !QUALITY_TIERS[name]) {
+      console.warn(`⚠️ Unknown quality tier "${name}" (have auto, ${TIER_NAMES.join(', ')})`);
+      return;
+    }
+    auto = name === 'auto';
+    drops = 0;
+    if (auto) {
+      reset();
+      console.log(`🎚️  Quality: auto (from ${current})`);
+      onChange(current, { auto, reason: 'auto' });
+    } else {
+      change(name, 'fixed');
+    }
+  };
+
+  return { sample, setTier, getTier: () => current, isAuto: () => auto };
+}
+
+/**
+ * Read a quality override from ?quality= (null when absent or unknown)
+ */
+export function readQualityParam() {
+  const value = new URLSearchParams(window.location.search).get('quality');
+  if (value === null) {
+    return null;
+  }
+  if (value !== 'auto' && !QUALITY_TIERS[value]) {
+    console.warn(`⚠️ Ignoring ?quality=${value} (expected auto, ${TIER_NAMES.join(', ')})`);
+    return null;
+  }
+  return value;
+}
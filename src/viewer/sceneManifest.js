@@ -0,0 +1,850 @@
+import { KEYFRAMES, CONFIG, buildSegments } from './scrollTimeline.js';
+import { PATH_DEFAULTS } from './cameraPath.js';
+import { GUARD_DEFAULTS } from './pathGuard.js';
+import { MATERIAL_PRESETS, DEFAULT_MATERIAL_RULES } from './materialRules.js';
+import { DECODER_DEFAULTS } from './decoders.js';
+import { POSE_SPACES } from './modelPoses.js';
+import { LIGHTING_PRESETS } from './lighting.js';
+import { POST_KEYFRAME_FIELDS, AO_TYPES } from './postProcessing.js';
+import { QUALITY_TIERS } from './qualityGovernor.js';
+import { ORBIT_DEFAULTS } from './userOrbit.js';
+
+/**
+ * Default manifest directory (served from public/scenes/)
+ */
+export const MANIFEST_DIR = '/scenes/';
+
+/**
+ * Defaults for every manifest field
+ * Anything a manifest omits falls back to these values, so a manifest only
+ * needs to declare what differs from the stock TruckVault section.
+ */
+export const DEFAULT_MANIFEST = {
+  name: 'default',
+  model: {
+    url: '/assets/model.glb',
+  },
+  poster: null,
+  fallback: {
+    sequence: null,
+    lowPower: true,
+  },
+  decoders: { ...DECODER_DEFAULTS },
+  renderer: {
+    exposure: 1.2,
+    toneMapping: 'ACESFilmic',
+    maxPixelRatio: 2,
+    shadows: true,
+    background: '#1a1a1a',
+    onDemand: true,
+  },
+  lighting: {
+    preset: 'studio',
+    presets: {},
+    transition: 0.8,
+    hdri: {
+      enabled: true,
+      url: '/assets/hdri/studio_small_08_1k.hdr',
+      intensity: 1.3,
+      rotationY: 0,
+    },
+    studio: {
+      keyIntensity: 2.8,
+      fillIntensity: 0.9,
+      rimIntensity: 1.6,
+      ambientIntensity: 0.2,
+      shadowMapSize: 2048,
+      shadowBias: -0.0005,
+    },
+    shadowFit: {
+      enabled: true,
+      margin: 0.1,
+    },
+    shadowCatcher: {
+      enabled: true,
+      offset: 0.02,
+      size: null,
+      opacity: 0.2,
+    },
+    contactShadow: {
+      enabled: false,
+      opacity: 0.7,
+      blur: 2.5,
+      darkness: 1.5,
+      height: 0.4,
+      resolution: 512,
+      padding: 1.5,
+    },
+  },
+  postProcessing: {
+    enabled: false,
+    ao: {
+      enabled: true,
+      type: 'gtao',
+      radius: 0.25,
+      intensity: 1,
+      samples: 16,
+    },
+    bloom: {
+      enabled: true,
+      strength: 0.4,
+      radius: 0.4,
+      threshold: 0.85,
+    },
+    dof: {
+      enabled: false,
+      focusOffset: 0,
+      aperture: 0.002,
+      maxblur: 0.006,
+    },
+    vignette: {
+      enabled: true,
+      offset: 1,
+      darkness: 1.1,
+    },
+    smaa: {
+      enabled: true,
+    },
+  },
+  quality: {
+    tier: 'auto',
+    start: 'high',
+    slowFrameTime: 25,
+    fastFrameTime: 18,
+  },
+  scrollTrigger: {
+    start: CONFIG.TRIGGER_START,
+    end: CONFIG.TRIGGER_END,
+    scrub: CONFIG.SCRUB_SMOOTHING,
+    markers: CONFIG.DEBUG,
+  },
+  cameraPath: { ...PATH_DEFAULTS },
+  collision: { ...GUARD_DEFAULTS },
+  orbit: { ...ORBIT_DEFAULTS },
+  materials: {
+    rules: [],
+    defaultRules: true,
+  },
+  animations: [],
+  hotspots: [],
+  chapters: [],
+  configurator: {
+    defaults: {},
+    options: {},
+  },
+  accessibility: {
+    label: '3D model viewer',
+    reducedMotion: 'steps',
+  },
+  poseSpace: 'world',
+  keyframes: KEYFRAMES,
+};
+
+const TONE_MAPPINGS = ['None', 'Linear', 'Reinhard', 'Cineon', 'ACESFilmic', 'AgX'];
+const INTERPOLATIONS = ['linear', 'orbital', 'spline'];
+const CURVE_TYPES = ['centripetal', 'chordal', 'catmullrom'];
+const GUARD_MODES = ['warn', 'push'];
+const REDUCED_MOTION_MODES = ['steps', 'static', 'scrub'];
+const ANIMATION_MODES = ['scroll', 'loop'];
+const LOOP_WHEN = ['always', 'unpinned'];
+const ANIMATION_FIELDS = { clip: 1, mode: 1, start: 1, end: 1, ease: 1, when: 1, timeScale: 1 };
+const CONFIG_EFFECTS = { show: 1, hide: 1, materials: 1, variant: 1 };
+const SCENE_PARAM_PATTERN = /^[\w-]+$/;
+const KEYFRAME_FIELDS = {
+  name: 1, progress: 1, ease: 1, description: 1, lighting: 1, postProcessing: 1, interpolation: 1, hold: 1, fov: 1,
+  rigPos: 1, rigRot: 1, rigQuat: 1, camLocalPos: 1, camWorldPos: 1, camWorldQuat: 1, target: 1,
+};
+const HOTSPOT_FIELDS = { id: 1, node: 1, position: 1, normal: 1, label: 1, description: 1, icon: 1, progress: 1, pose: 1 };
+const CHAPTER_FIELDS = { id: 1, start: 1, end: 1 };
+const RULE_FIELDS = { name: 1, preset: 1, match: 1, params: 1 };
+const RULE_MATCH_FIELDS = { meshName: 1, materialName: 1, nodePath: 1, material: 1 };
+const PRESET_FIELDS = { hdri: 1, exposure: 1, rotationY: 1, background: 1, lights: 1 };
+const PRESET_LIGHT_FIELDS = { keyIntensity: 1, fillIntensity: 1, rimIntensity: 1, ambientIntensity: 1 };
+
+/**
+ * Error thrown for a manifest that cannot be used
+ * `errors` holds one readable message per bad field.
+ */
+export class SceneManifestError extends Error {
+  constructor(source, errors) {
+    super(`Invalid scene manifest "${source}":\n  - ${errors.join('\n  - ')}`);
+    this.name = 'SceneManifestError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Resolve which manifest to load
+ * Priority: ?scene=<name> URL param, then data-scene on the section, then "default".
+ * The param only applies on a page with a single viewer, and only names a
+ * manifest in /scenes/ (letters, digits, - and _); data-scene may be any URL.
+ * @param {HTMLElement} section - Viewer section element
+ * @returns {string} Manifest URL
+ */
+export function resolveManifestUrl(section) {
+  const param = new URLSearchParams(window.location.search).get('scene');
+  let name = section?.dataset.scene || 'default';
+  if (param) {
+    if (!SCENE_PARAM_PATTERN.test(param)) {
+      console.warn(`⚠️ Ignoring ?scene=${param}: only manifest names in ${MANIFEST_DIR} are allowed`);
+    } else if (document.querySelectorAll('[data-scene]').length > 1) {
+      console.warn(`⚠️ Ignoring ?scene=${param}: the page has several viewers`);
+    } else {
+      name = param;
+    }
+  }
+  if (name.endsWith('.json') || name.includes('/')) {
+    return name;
+  }
+  return `${MANIFEST_DIR}${name}.json`;
+}
+
+/**
+ * Fetch, validate and normalize a scene manifest
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object>} Manifest merged over DEFAULT_MANIFEST
+ */
+export async function loadSceneManifest(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new SceneManifestError(url, [`could not be fetched (${error.message})`]);
+  }
+  if (!response.ok) {
+    throw new SceneManifestError(url, [`could not be fetched (HTTP ${response.status})`]);
+  }
+
+  let json;
+  try {
+    json = await response.json();
+  } catch (error) {
+    throw new SceneManifestError(url, [`is not valid JSON (${error.message})`]);
+  }
+
+  const manifest = validateSceneManifest(json, url);
+  console.log(`✅ Scene manifest loaded | ${manifest.name} (${url})`);
+  return manifest;
+}
+
+/**
+ * Validate a parsed manifest and merge it over the defaults
+ * Unknown keys are reported as errors so typos don't fail silently.
+ * @param {Object} json - Parsed manifest
+ * @param {string} source - Label used in error messages
+ * @returns {Object} Normalized manifest
+ * @throws {SceneManifestError} When any field is invalid
+ */
+export function validateSceneManifest(json, source = 'manifest') {
+  const errors = [];
+
+  if (!isPlainObject(json)) {
+    throw new SceneManifestError(source, ['root must be a JSON object']);
+  }
+
+  checkKeys(json, DEFAULT_MANIFEST, '', errors);
+  checkType(json, 'name', 'string', errors);
+
+  if (check(json, 'model', isPlainObject, 'must be an object', errors)) {
+    checkKeys(json.model, DEFAULT_MANIFEST.model, 'model.', errors);
+    checkType(json.model, 'url', 'string', errors, 'model.');
+  }
+  check(json, 'poster', (v) => v === null || typeof v === 'string', 'must be an image URL or null', errors);
+
+  if (check(json, 'fallback', isPlainObject, 'must be an object', errors)) {
+    checkKeys(json.fallback, DEFAULT_MANIFEST.fallback, 'fallback.', errors);
+    check(json.fallback, 'sequence', (v) => v === null || typeof v === 'string', 'must be a directory URL or null', errors, 'fallback.');
+    checkType(json.fallback, 'lowPower', 'boolean', errors, 'fallback.');
+  }
+
+  if (check(json, 'decoders', isPlainObject, 'must be an object', errors)) {
+    checkKeys(json.decoders, DEFAULT_MANIFEST.decoders, 'decoders.', errors);
+    ['draco', 'basis'].forEach((key) => {
+      check(json.decoders, key, (v) => typeof v === 'string' && v.endsWith('/'), 'must be a directory path ending in /', errors, 'decoders.');
+    });
+  }
+
+  if (check(json, 'renderer', isPlainObject, 'must be an object', errors)) {
+    const r = json.renderer;
+    checkKeys(r, DEFAULT_MANIFEST.renderer, 'renderer.', errors);
+    checkNumber(r, 'exposure', errors, 'renderer.', { min: 0 });
+    checkNumber(r, 'maxPixelRatio', errors, 'renderer.', { min: 0.25 });
+    checkType(r, 'shadows', 'boolean', errors, 'renderer.');
+    checkType(r, 'onDemand', 'boolean', errors, 'renderer.');
+    checkType(r, 'background', 'string', errors, 'renderer.');
+    check(r, 'toneMapping', (v) => TONE_MAPPINGS.includes(v), `must be one of ${TONE_MAPPINGS.join(', ')}`, errors, 'renderer.');
+  }
+
+  if (check(json, 'lighting', isPlainObject, 'must be an object', errors)) {
+    const l = json.lighting;
+    checkKeys(l, DEFAULT_MANIFEST.lighting, 'lighting.', errors);
+    checkNumber(l, 'transition', errors, 'lighting.', { min: 0 });
+    if (check(l, 'presets', isPlainObject, 'must be an object', errors, 'lighting.')) {
+      validateLightingPresets(l.presets, errors);
+    }
+    check(l, 'preset', (v) => lightingPresetNames(json).includes(v),
+      `must be one of ${lightingPresetNames(json).join(', ')}`, errors, 'lighting.');
+
+    if (check(l, 'hdri', isPlainObject, 'must be an object', errors, 'lighting.')) {
+      checkKeys(l.hdri, DEFAULT_MANIFEST.lighting.hdri, 'lighting.hdri.', errors);
+      checkType(l.hdri, 'enabled', 'boolean', errors, 'lighting.hdri.');
+      checkType(l.hdri, 'url', 'string', errors, 'lighting.hdri.');
+      checkNumber(l.hdri, 'intensity', errors, 'lighting.hdri.', { min: 0 });
+      checkNumber(l.hdri, 'rotationY', errors, 'lighting.hdri.');
+    }
+
+    if (check(l, 'studio', isPlainObject, 'must be an object', errors, 'lighting.')) {
+      checkKeys(l.studio, DEFAULT_MANIFEST.lighting.studio, 'lighting.studio.', errors);
+      ['keyIntensity', 'fillIntensity', 'rimIntensity', 'ambientIntensity'].forEach((key) => {
+        checkNumber(l.studio, key, errors, 'lighting.studio.', { min: 0 });
+      });
+      checkNumber(l.studio, 'shadowMapSize', errors, 'lighting.studio.', { min: 128, integer: true });
+      checkNumber(l.studio, 'shadowBias', errors, 'lighting.studio.');
+    }
+
+    if (check(l, 'shadowCatcher', isPlainObject, 'must be an object', errors, 'lighting.')) {
+      checkKeys(l.shadowCatcher, DEFAULT_MANIFEST.lighting.shadowCatcher, 'lighting.shadowCatcher.', errors);
+      checkType(l.shadowCatcher, 'enabled', 'boolean', errors, 'lighting.shadowCatcher.');
+      checkNumber(l.shadowCatcher, 'offset', errors, 'lighting.shadowCatcher.');
+      check(l.shadowCatcher, 'size', (v) => v === null || (Number.isFinite(v) && v > 0),
+        'must be a positive number or null (fitted to the model)', errors, 'lighting.shadowCatcher.');
+      checkNumber(l.shadowCatcher, 'opacity', errors, 'lighting.shadowCatcher.', { min: 0, max: 1 });
+    }
+
+    if (check(l, 'shadowFit', isPlainObject, 'must be an object', errors, 'lighting.')) {
+      checkKeys(l.shadowFit, DEFAULT_MANIFEST.lighting.shadowFit, 'lighting.shadowFit.', errors);
+      checkType(l.shadowFit, 'enabled', 'boolean', errors, 'lighting.shadowFit.');
+      checkNumber(l.shadowFit, 'margin', errors, 'lighting.shadowFit.', { min: 0 });
+    }
+
+    if (check(l, 'contactShadow', isPlainObject, 'must be an object', errors, 'lighting.')) {
+      const cs = l.contactShadow;
+      checkKeys(cs, DEFAULT_MANIFEST.lighting.contactShadow, 'lighting.contactShadow.', errors);
+      checkType(cs, 'enabled', 'boolean', errors, 'lighting.contactShadow.');
+      checkNumber(cs, 'opacity', errors, 'lighting.contactShadow.', { min: 0, max: 1 });
+      ['blur', 'darkness', 'height'].forEach((key) => checkNumber(cs, key, errors, 'lighting.contactShadow.', { min: 0 }));
+      checkNumber(cs, 'resolution', errors, 'lighting.contactShadow.', { min: 64, max: 4096, integer: true });
+      checkNumber(cs, 'padding', errors, 'lighting.contactShadow.', { min: 1 });
+    }
+  }
+
+  if (check(json, 'postProcessing', isPlainObject, 'must be an object', errors)) {
+    validatePostProcessing(json.postProcessing, errors);
+  }
+
+  if (check(json, 'quality', isPlainObject, 'must be an object', errors)) {
+    const q = json.quality;
+    const tiers = Object.keys(QUALITY_TIERS);
+    checkKeys(q, DEFAULT_MANIFEST.quality, 'quality.', errors);
+    check(q, 'tier', (v) => v === 'auto' || tiers.includes(v), `must be auto or one of ${tiers.join(', ')}`, errors, 'quality.');
+    check(q, 'start', (v) => tiers.includes(v), `must be one of ${tiers.join(', ')}`, errors, 'quality.');
+    checkNumber(q, 'slowFrameTime', errors, 'quality.', { min: 1 });
+    checkNumber(q, 'fastFrameTime', errors, 'quality.', { min: 1 });
+    const slow = q.slowFrameTime ?? DEFAULT_MANIFEST.quality.slowFrameTime;
+    const fast = q.fastFrameTime ?? DEFAULT_MANIFEST.quality.fastFrameTime;
+    if (Number.isFinite(slow) && Number.isFinite(fast) && fast >= slow) {
+      errors.push(`quality.fastFrameTime (${fast}) must be below quality.slowFrameTime (${slow})`);
+    }
+  }
+
+  if (check(json, 'scrollTrigger', isPlainObject, 'must be an object', errors)) {
+    const st = json.scrollTrigger;
+    checkKeys(st, DEFAULT_MANIFEST.scrollTrigger, 'scrollTrigger.', errors);
+    checkType(st, 'start', 'string', errors, 'scrollTrigger.');
+    checkType(st, 'end', 'string', errors, 'scrollTrigger.');
+    checkType(st, 'markers', 'boolean', errors, 'scrollTrigger.');
+    check(st, 'scrub', (v) => typeof v === 'boolean' || (typeof v === 'number' && v >= 0),
+      'must be true/false or a smoothing time in seconds', errors, 'scrollTrigger.');
+  }
+
+  if (check(json, 'cameraPath', isPlainObject, 'must be an object', errors)) {
+    checkKeys(json.cameraPath, DEFAULT_MANIFEST.cameraPath, 'cameraPath.', errors);
+    check(json.cameraPath, 'curveType', (v) => CURVE_TYPES.includes(v), `must be one of ${CURVE_TYPES.join(', ')}`, errors, 'cameraPath.');
+    checkNumber(json.cameraPath, 'tension', errors, 'cameraPath.', { min: 0, max: 1 });
+  }
+
+  if (check(json, 'collision', isPlainObject, 'must be an object', errors)) {
+    checkKeys(json.collision, DEFAULT_MANIFEST.collision, 'collision.', errors);
+    checkType(json.collision, 'enabled', 'boolean', errors, 'collision.');
+    checkNumber(json.collision, 'margin', errors, 'collision.', { min: 0 });
+    check(json.collision, 'mode', (v) => GUARD_MODES.includes(v), `must be one of ${GUARD_MODES.join(', ')}`, errors, 'collision.');
+  }
+
+  if (check(json, 'orbit', isPlainObject, 'must be an object', errors)) {
+    validateOrbit(json.orbit, errors);
+  }
+
+  if (check(json, 'materials', isPlainObject, 'must be an object', errors)) {
+    checkKeys(json.materials, DEFAULT_MANIFEST.materials, 'materials.', errors);
+    checkType(json.materials, 'defaultRules', 'boolean', errors, 'materials.');
+    if (check(json.materials, 'rules', Array.isArray, 'must be an array', errors, 'materials.')) {
+      validateMaterialRules(json.materials.rules, errors);
+    }
+  }
+
+  if (check(json, 'animations', Array.isArray, 'must be an array', errors)) {
+    validateAnimations(json.animations, errors);
+  }
+
+  if (check(json, 'hotspots', Array.isArray, 'must be an array', errors)) {
+    validateHotspots(json.hotspots, errors);
+  }
+
+  if (check(json, 'chapters', Array.isArray, 'must be an array', errors)) {
+    validateChapters(json.chapters, errors);
+  }
+
+  if (check(json, 'configurator', isPlainObject, 'must be an object', errors)) {
+    validateConfigurator(json.configurator, errors);
+  }
+
+  if (check(json, 'accessibility', isPlainObject, 'must be an object', errors)) {
+    checkKeys(json.accessibility, DEFAULT_MANIFEST.accessibility, 'accessibility.', errors);
+    checkType(json.accessibility, 'label', 'string', errors, 'accessibility.');
+    check(json.accessibility, 'reducedMotion', (v) => REDUCED_MOTION_MODES.includes(v),
+      `must be one of ${REDUCED_MOTION_MODES.join(', ')}`, errors, 'accessibility.');
+  }
+
+  check(json, 'poseSpace', (v) => POSE_SPACES.includes(v), `must be one of ${POSE_SPACES.join(', ')}`, errors);
+  if (check(json, 'keyframes', Array.isArray, 'must be an array', errors)) {
+    validateKeyframes(json.keyframes, errors, lightingPresetNames(json));
+  }
+  // Against the keyframes the viewer will use: the manifest's own, or the defaults when it has none
+  const keyframes = json.keyframes ?? DEFAULT_MANIFEST.keyframes;
+  if (Array.isArray(json.hotspots) && Array.isArray(keyframes)) {
+    validateHotspotPoses(json.hotspots, keyframes, errors);
+  }
+
+  if (errors.length > 0) {
+    throw new SceneManifestError(source, errors);
+  }
+
+  return mergeManifest(DEFAULT_MANIFEST, json);
+}
+
+/**
+ * Validate keyframe poses, then reuse the timeline's own ordering checks
+ * An empty list is allowed: the viewer auto-frames the model instead.
+ */
+function validateKeyframes(keyframes, errors, presetNames) {
+  const before = errors.length;
+
+  keyframes.forEach((kf, i) => {
+    const prefix = `keyframes[${i}].`;
+    if (!isPlainObject(kf)) {
+      errors.push(`keyframes[${i}] must be an object`);
+      return;
+    }
+    checkKeys(kf, KEYFRAME_FIELDS, prefix, errors);
+    checkType(kf, 'name', 'string', errors, prefix);
+    checkType(kf, 'ease', 'string', errors, prefix);
+    checkType(kf, 'description', 'string', errors, prefix);
+    check(kf, 'lighting', (v) => presetNames.includes(v), `must be one of ${presetNames.join(', ')}`, errors, prefix);
+    if (check(kf, 'postProcessing', isPlainObject, 'must be an object', errors, prefix)) {
+      validatePostKeyframe(kf.postProcessing, errors, `${prefix}postProcessing.`);
+    }
+    check(kf, 'interpolation', (v) => INTERPOLATIONS.includes(v), `must be one of ${INTERPOLATIONS.join(', ')}`, errors, prefix);
+    checkNumber(kf, 'hold', errors, prefix, { min: 0, max: 1 });
+    checkNumber(kf, 'fov', errors, prefix, { min: 1, max: 179 });
+    ['rigPos', 'rigRot', 'target'].forEach((key) => {
+      if (kf[key] === undefined) {
+        errors.push(`${prefix}${key} is required`);
+      } else {
+        checkVector(kf, key, errors, prefix);
+      }
+    });
+    if (kf.camLocalPos !== undefined) {
+      checkVector(kf, 'camLocalPos', errors, prefix);
+    }
+    if (kf.rigQuat !== undefined) {
+      const q = kf.rigQuat;
+      if (!isPlainObject(q) || !['x', 'y', 'z', 'w'].every((axis) => Number.isFinite(q[axis]))) {
+        errors.push(`${prefix}rigQuat must be an object with numeric x, y, z, w`);
+      }
+    }
+  });
+
+  if (errors.length === before && keyframes.length > 0) {
+    try {
+      buildSegments(keyframes);
+    } catch (error) {
+      errors.push(`keyframes: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Validate the post-processing block: one sub-object per pass
+ */
+function validatePostProcessing(post, errors) {
+  const defaults = DEFAULT_MANIFEST.postProcessing;
+  checkKeys(post, defaults, 'postProcessing.', errors);
+  checkType(post, 'enabled', 'boolean', errors, 'postProcessing.');
+  Object.keys(defaults).filter((pass) => pass !== 'enabled').forEach((pass) => {
+    const prefix = `postProcessing.${pass}.`;
+    if (!check(post, pass, isPlainObject, 'must be an object', errors, 'postProcessing.')) {
+      return;
+    }
+    checkKeys(post[pass], defaults[pass], prefix, errors);
+    checkType(post[pass], 'enabled', 'boolean', errors, prefix);
+    checkPostValues(post[pass], POST_KEYFRAME_FIELDS[pass] ?? [], errors, prefix);
+  });
+  if (isPlainObject(post.ao)) {
+    check(post.ao, 'type', (v) => AO_TYPES.includes(v), `must be one of ${AO_TYPES.join(', ')}`, errors, 'postProcessing.ao.');
+    checkNumber(post.ao, 'samples', errors, 'postProcessing.ao.', { min: 2, max: 32, integer: true });
+  }
+}
+
+/**
+ * Validate a keyframe's post-processing values (only the keyframeable ones)
+ */
+function validatePostKeyframe(values, errors, prefix) {
+  checkKeys(values, POST_KEYFRAME_FIELDS, prefix, errors);
+  Object.entries(POST_KEYFRAME_FIELDS).forEach(([pass, keys]) => {
+    if (check(values, pass, isPlainObject, 'must be an object', errors, prefix)) {
+      checkKeys(values[pass], Object.fromEntries(keys.map((key) => [key, 1])), `${prefix}${pass}.`, errors);
+      checkPostValues(values[pass], keys, errors, `${prefix}${pass}.`);
+    }
+  });
+}
+
+/**
+ * Keyframeable pass values are numbers >= 0, except the signed DOF focus offset
+ */
+function checkPostValues(obj, keys, errors, prefix) {
+  keys.forEach((key) => checkNumber(obj, key, errors, prefix, key === 'focusOffset' ? {} : { min: 0 }));
+}
+
+/**
+ * Validate material override rules
+ */
+function validateMaterialRules(rules, errors) {
+  const presets = Object.keys(MATERIAL_PRESETS);
+  rules.forEach((rule, i) => {
+    const prefix = `materials.rules[${i}].`;
+    if (!isPlainObject(rule)) {
+      errors.push(`materials.rules[${i}] must be an object`);
+      return;
+    }
+    checkKeys(rule, RULE_FIELDS, prefix, errors);
+    checkType(rule, 'name', 'string', errors, prefix);
+    if (!presets.includes(rule.preset)) {
+      errors.push(`${prefix}preset must be one of ${presets.join(', ')} (got ${JSON.stringify(rule.preset)})`);
+    }
+    check(rule, 'params', isPlainObject, 'must be an object', errors, prefix);
+    if (!isPlainObject(rule.match)) {
+      errors.push(`${prefix}match is required and must be an object`);
+      return;
+    }
+    checkKeys(rule.match, RULE_MATCH_FIELDS, `${prefix}match.`, errors);
+    ['meshName', 'materialName'].forEach((field) => {
+      check(rule.match, field, (v) => Array.isArray(v) && v.every((keyword) => typeof keyword === 'string'),
+        'must be an array of keywords', errors, `${prefix}match.`);
+    });
+    checkType(rule.match, 'nodePath', 'string', errors, `${prefix}match.`);
+    check(rule.match, 'material', isPlainObject, 'must be an object of property tests', errors, `${prefix}match.`);
+  });
+}
+
+/**
+ * Build the ordered rule list for loadModel: scene rules first, then the defaults
+ * @param {Object} materials - Normalized manifest `materials` block
+ */
+export function resolveMaterialRules(materials) {
+  return materials.defaultRules ? [...materials.rules, ...DEFAULT_MATERIAL_RULES] : materials.rules;
+}
+
+/**
+ * Validate scene lighting presets (partial: missing fields come from the built-in of that name, or studio)
+ */
+function validateLightingPresets(presets, errors) {
+  Object.entries(presets).forEach(([name, preset]) => {
+    const prefix = `lighting.presets.${name}.`;
+    if (!isPlainObject(preset)) {
+      errors.push(`lighting.presets.${name} must be an object`);
+      return;
+    }
+    checkKeys(preset, PRESET_FIELDS, prefix, errors);
+    check(preset, 'hdri', (v) => v === null || typeof v === 'string', 'must be an HDRI URL or null (RoomEnvironment)', errors, prefix);
+    checkNumber(preset, 'exposure', errors, prefix, { min: 0 });
+    checkNumber(preset, 'rotationY', errors, prefix);
+    checkType(preset, 'background', 'string', errors, prefix);
+    if (check(preset, 'lights', isPlainObject, 'must be an object', errors, prefix)) {
+      checkKeys(preset.lights, PRESET_LIGHT_FIELDS, `${prefix}lights.`, errors);
+      Object.keys(PRESET_LIGHT_FIELDS).forEach((key) => checkNumber(preset.lights, key, errors, `${prefix}lights.`, { min: 0 }));
+    }
+  });
+}
+
+/**
+ * Preset names a manifest may refer to: built-ins plus its own
+ */
+function lightingPresetNames(json) {
+  const own = isPlainObject(json.lighting?.presets) ? Object.keys(json.lighting.presets) : [];
+  return [...new Set([...Object.keys(LIGHTING_PRESETS), ...own])];
+}
+
+/**
+ * Build the presets for createLighting
+ * `studio` comes from lighting.hdri, lighting.studio and renderer.background, so
+ * manifests written before presets keep their look; lighting.presets merge over
+ * the built-in of the same name (or over studio for new names).
+ * @param {Object} lighting - Normalized manifest `lighting` block
+ * @param {Object} renderer - Normalized manifest `renderer` block
+ * @returns {Object} Presets by name
+ */
+export function resolveLightingPresets(lighting, renderer) {
+  const { hdri, studio } = lighting;
+  const presets = {
+    ...LIGHTING_PRESETS,
+    studio: {
+      hdri: hdri.url,
+      exposure: hdri.enabled ? hdri.intensity : renderer.exposure,
+      rotationY: hdri.rotationY,
+      background: renderer.background,
+      lights: Object.fromEntries(Object.keys(PRESET_LIGHT_FIELDS).map((key) => [key, studio[key]])),
+    },
+  };
+  Object.entries(lighting.presets).forEach(([name, preset]) => {
+    const base = presets[name] || presets.studio;
+    presets[name] = { ...base, ...preset, lights: { ...base.lights, ...preset.lights } };
+  });
+  return presets;
+}
+
+/**
+ * Validate hotspot definitions
+ */
+function validateHotspots(hotspots, errors) {
+  const ids = new Set();
+  hotspots.forEach((hotspot, i) => {
+    const prefix = `hotspots[${i}].`;
+    if (!isPlainObject(hotspot)) {
+      errors.push(`hotspots[${i}] must be an object`);
+      return;
+    }
+    checkKeys(hotspot, HOTSPOT_FIELDS, prefix, errors);
+    if (typeof hotspot.id !== 'string' || hotspot.id === '') {
+      errors.push(`${prefix}id is required`);
+    } else if (ids.has(hotspot.id)) {
+      errors.push(`${prefix}id "${hotspot.id}" is used twice`);
+    } else {
+      ids.add(hotspot.id);
+    }
+    ['node', 'label', 'description', 'icon', 'pose'].forEach((field) => checkType(hotspot, field, 'string', errors, prefix));
+    ['position', 'normal'].forEach((field) => {
+      if (hotspot[field] !== undefined) {
+        checkVector(hotspot, field, errors, prefix);
+      }
+    });
+    check(hotspot, 'progress', (v) => Array.isArray(v) && v.length === 2 && v.every((n) => Number.isFinite(n) && n >= 0 && n <= 1) && v[0] <= v[1],
+      'must be [start, end] with 0 <= start <= end <= 1', errors, prefix);
+  });
+}
+
+/**
+ * Hotspot poses must name a keyframe (START / END when the model is auto-framed)
+ */
+function validateHotspotPoses(hotspots, keyframes, errors) {
+  const names = keyframes.length > 0 ? keyframes.map((kf) => kf?.name) : ['START', 'END'];
+  hotspots.forEach((hotspot, i) => {
+    if (typeof hotspot?.pose === 'string' && !names.includes(hotspot.pose)) {
+      errors.push(`hotspots[${i}].pose "${hotspot.pose}" is not a keyframe name (expected one of ${names.join(', ')})`);
+    }
+  });
+}
+
+/**
+ * Validate chapters: unique ids, required progress ranges in ascending, non-overlapping order
+ */
+function validateChapters(chapters, errors) {
+  const ids = new Set();
+  let previousEnd = -Infinity;
+  chapters.forEach((chapter, i) => {
+    const prefix = `chapters[${i}].`;
+    if (!isPlainObject(chapter)) {
+      errors.push(`chapters[${i}] must be an object`);
+      return;
+    }
+    checkKeys(chapter, CHAPTER_FIELDS, prefix, errors);
+    if (typeof chapter.id !== 'string' || chapter.id === '') {
+      errors.push(`${prefix}id is required`);
+    } else if (ids.has(chapter.id)) {
+      errors.push(`${prefix}id "${chapter.id}" is used twice`);
+    } else {
+      ids.add(chapter.id);
+    }
+    if (chapter.start === undefined || chapter.end === undefined) {
+      errors.push(`${prefix}start and end are required`);
+      return;
+    }
+    const okStart = checkNumber(chapter, 'start', errors, prefix, { min: 0, max: 1 });
+    const okEnd = checkNumber(chapter, 'end', errors, prefix, { min: 0, max: 1 });
+    if (okStart && okEnd) {
+      if (chapter.start >= chapter.end) {
+        errors.push(`${prefix}start must be less than end`);
+      } else if (chapter.start < previousEnd) {
+        errors.push(`${prefix}start (${chapter.start}) overlaps the previous chapter (ends at ${previousEnd})`);
+      }
+      previousEnd = Math.max(previousEnd, chapter.end);
+    }
+  });
+}
+
+/**
+ * Validate visitor orbit limits: polar angles in radians, distances as factors of the pose's distance
+ */
+function validateOrbit(orbit, errors) {
+  checkKeys(orbit, DEFAULT_MANIFEST.orbit, 'orbit.', errors);
+  checkType(orbit, 'enabled', 'boolean', errors, 'orbit.');
+  checkNumber(orbit, 'minPolarAngle', errors, 'orbit.', { min: 0, max: Math.PI });
+  checkNumber(orbit, 'maxPolarAngle', errors, 'orbit.', { min: 0, max: Math.PI });
+  checkNumber(orbit, 'minDistance', errors, 'orbit.', { min: 0.01, max: 1 });
+  checkNumber(orbit, 'maxDistance', errors, 'orbit.', { min: 1 });
+  checkNumber(orbit, 'rotateSpeed', errors, 'orbit.', { min: 0 });
+  checkNumber(orbit, 'returnDelay', errors, 'orbit.', { min: 0 });
+  checkNumber(orbit, 'returnDuration', errors, 'orbit.', { min: 0 });
+  const minPolar = orbit.minPolarAngle ?? ORBIT_DEFAULTS.minPolarAngle;
+  const maxPolar = orbit.maxPolarAngle ?? ORBIT_DEFAULTS.maxPolarAngle;
+  if (Number.isFinite(minPolar) && Number.isFinite(maxPolar) && minPolar > maxPolar) {
+    errors.push(`orbit.minPolarAngle (${minPolar}) must not exceed orbit.maxPolarAngle (${maxPolar})`);
+  }
+}
+
+/**
+ * Validate clip bindings (scroll ranges and loops)
+ */
+function validateAnimations(animations, errors) {
+  animations.forEach((binding, i) => {
+    const prefix = `animations[${i}].`;
+    if (!isPlainObject(binding)) {
+      errors.push(`animations[${i}] must be an object`);
+      return;
+    }
+    checkKeys(binding, ANIMATION_FIELDS, prefix, errors);
+    if (typeof binding.clip !== 'string') {
+      errors.push(`${prefix}clip must be the name of a glTF animation clip`);
+    }
+    check(binding, 'mode', (v) => ANIMATION_MODES.includes(v), `must be one of ${ANIMATION_MODES.join(', ')}`, errors, prefix);
+    check(binding, 'when', (v) => LOOP_WHEN.includes(v), `must be one of ${LOOP_WHEN.join(', ')}`, errors, prefix);
+    checkType(binding, 'ease', 'string', errors, prefix);
+    checkNumber(binding, 'timeScale', errors, prefix);
+    const okStart = checkNumber(binding, 'start', errors, prefix, { min: 0, max: 1 });
+    const okEnd = checkNumber(binding, 'end', errors, prefix, { min: 0, max: 1 });
+    if (okStart && okEnd && binding.start >= binding.end) {
+      errors.push(`${prefix}start must be less than end`);
+    }
+  });
+}
+
+/**
+ * Validate configurator options: option → choice → { show, hide, materials, variant }
+ */
+function validateConfigurator(configurator, errors) {
+  checkKeys(configurator, DEFAULT_MANIFEST.configurator, 'configurator.', errors);
+  const options = configurator.options || {};
+  if (!check(configurator, 'options', isPlainObject, 'must be an object', errors, 'configurator.')) {
+    return;
+  }
+
+  Object.entries(options).forEach(([key, choices]) => {
+    const optionPath = `configurator.options.${key}`;
+    if (!isPlainObject(choices)) {
+      errors.push(`${optionPath} must map choice names to effects`);
+      return;
+    }
+    Object.entries(choices).forEach(([choice, effects]) => {
+      const prefix = `${optionPath}.${choice}.`;
+      if (!isPlainObject(effects)) {
+        errors.push(`${optionPath}.${choice} must be an object`);
+        return;
+      }
+      checkKeys(effects, CONFIG_EFFECTS, prefix, errors);
+      ['show', 'hide'].forEach((field) => {
+        check(effects, field, (v) => Array.isArray(v) && v.every((name) => typeof name === 'string'),
+          'must be an array of node names', errors, prefix);
+      });
+      if (check(effects, 'materials', isPlainObject, 'must be an object', errors, prefix)) {
+        Object.entries(effects.materials).forEach(([node, material]) => {
+          if (typeof material !== 'string' && !isPlainObject(material)) {
+            errors.push(`${prefix}materials.${node} must be a material name or property overrides`);
+          }
+        });
+      }
+      check(effects, 'variant', (v) => v === null || typeof v === 'string', 'must be a variant name or null', errors, prefix);
+    });
+  });
+
+  if (check(configurator, 'defaults', isPlainObject, 'must be an object', errors, 'configurator.')) {
+    Object.entries(configurator.defaults).forEach(([key, choice]) => {
+      if (!options[key]?.[choice]) {
+        errors.push(`configurator.defaults.${key} refers to unknown choice "${choice}"`);
+      }
+    });
+  }
+}
+
+function checkVector(obj, key, errors, prefix) {
+  const v = obj[key];
+  const ok = isPlainObject(v) && ['x', 'y', 'z'].every((axis) => Number.isFinite(v[axis]));
+  if (!ok) {
+    errors.push(`${prefix}${key} must be an object with numeric x, y, z`);
+  }
+}
+
+function checkKeys(obj, defaults, prefix, errors) {
+  Object.keys(obj).forEach((key) => {
+    if (!(key in defaults)) {
+      errors.push(`${prefix}${key} is not a known field`);
+    }
+  });
+}
+
+function check(obj, key, predicate, message, errors, prefix = '') {
+  if (obj[key] === undefined) {
+    return false;
+  }
+  if (!predicate(obj[key])) {
+    errors.push(`${prefix}${key} ${message} (got ${JSON.stringify(obj[key])})`);
+    return false;
+  }
+  return true;
+}
+
+function checkType(obj, key, type, errors, prefix = '') {
+  return check(obj, key, (v) => typeof v === type, `must be a ${type}`, errors, prefix);
+}
+
+function checkNumber(obj, key, errors, prefix = '', { min = -Infinity, max = Infinity, integer = false } = {}) {
+  let message = 'must be a number';
+  if (min !== -Infinity && max !== Infinity) {
+    message = `must be a number between ${min} and ${max}`;
+  } else if (min !== -Infinity) {
+    message = `must be a number >= ${min}`;
+  }
+  if (integer) {
+    message = message.replace('a number', 'an integer');
+  }
+  return check(obj, key, (v) => Number.isFinite(v) && v >= min && v <= max && (!integer || Number.isInteger(v)),
+    message, errors, prefix);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge for plain objects; arrays (keyframes) replace the default wholesale
+ */
+function mergeManifest(base, override) {
+  const result = { ...base };
+  Object.keys(override).forEach((key) => {
+    if (isPlainObject(base[key]) && isPlainObject(override[key])) {
+      result[key] = mergeManifest(base[key], override[key]);
+    } else {
+      result[key] = override[key];
+    }
+  });
+  return result;
+}
@@ -0,0 +1,162 @@
+import { prefersReducedMotion } from './accessibility.js';
+
+/**
+ * Scroll chapters: page copy synced to timeline progress
+ *
+ * A scene's `chapters` list declares progress ranges on the scroll timeline:
+ *
+ *   "chapters": [
+ *     { "id": "intro", "start": 0, "end": 0.5 },
+ *     { "id": "detail", "start": 0.5, "end": 1 }
+ *   ]
+ *
+ * Each id maps to a `[data-chapter="id"]` copy block inside the section. The
+ * block for the current range gets `hero-3d__chapter--active` (earlier ones
+ * `--past`), `chapterenter` / `chapterleave` events fire on the section, and a
+ * dot per chapter scrolls the page to that chapter's start.
+ */
+
+/**
+ * Create chapters for a scroll section
+ * @param {HTMLElement} section - Pinned section element (holds the copy blocks)
+ * @param {Array} chapters - Ordered chapters [{ id, start, end }]
+ * @param {Object} opts - { dots (default true) }
+ * @returns {{ update: Function, bindToTimeline: Function, goTo: Function, getActive: Function, dispose: Function }}
+ */
+export function createScrollChapters(section, chapters = [], opts = {}) {
+  const { dots = true } = opts;
+
+  const blocks = chapters.map((chapter) => {
+    const block = section.querySelector(`[data-chapter="${chapter.id}"]`);
+    if (!block) {
+      console.warn(`⚠️ Chapter "${chapter.id}" has no [data-chapter="${chapter.id}"] block in the section`);
+    }
+    return block;
+  });
+  section.classList.add('hero-3d--chapters');
+
+  const nav = dots && chapters.length > 1 ? createDots(section, chapters, blocks) : null;
+  let active = -1;
+  let lastProgress = 0;
+  let scrollTrigger = null;
+
+  const emit = (type, index, direction) => {
+    section.dispatchEvent(new CustomEvent(type, {
+      detail: { id: chapters[index].id, index, direction, chapter: chapters[index] },
+    }));
+  };
+
+  /**
+   * Sync copy blocks and dots to a timeline progress (0 → 1)
+   */
+  const update = (progress = 0) => {
+    const direction = progress >= lastProgress ? 'forward' : 'backward';
+    lastProgress = progress;
+
+    // The last range includes its end so progress 1 still shows a chapter
+    const index = chapters.findIndex(({ start, end }) => progress >= start && (progress < end || (end === 1 && progress >= 1)));
+    blocks.forEach((block, i) => {
+      block?.classList.toggle('hero-3d__chapter--active', i === index);
+      block?.classList.toggle('hero-3d__chapter--past', i !== index && progress >= chapters[i].end);
+      block?.setAttribute('aria-hidden', String(i !== index));
+    });
+    if (index === active) {
+      return;
+    }
+
+    if (active !== -1) {
+      emit('chapterleave', active, direction);
+    }
+    active = index;
+    nav?.querySelectorAll('.chapter-dots__dot').forEach((dot, i) => {
+      dot.setAttribute('aria-current', i === index ? 'step' : 'false');
+    });
+    if (index !== -1) {
+      emit('chapterenter', index, direction);
+      console.log(`📖 Chapter: ${chapters[index].id} (${direction})`);
+    }
+  };
+
+  /**
+   * Drive the chapters from a scroll timeline
+   * Call again for every rebuilt timeline.
+   * @param {gsap.core.Timeline} tl - Scroll timeline (progress 0 → 1)
+   */
+  const bindToTimeline = (tl) => {
+    scrollTrigger = tl.scrollTrigger || null;
+    tl.fromTo({ t: 0 }, { t: 0 }, {
+      t: 1,
+      duration: 1,
+      ease: 'none',
+      immediateRender: false,
+      onUpdate: function () {
+        update(this.targets()[0].t);
+      }
+    }, 0);
+    update(tl.progress());
+  };
+
+  /**
+   * Scroll the page to the start of a chapter
+   * @param {string} id - Chapter id
+   */
+  const goTo = (id) => {
+    const chapter = chapters.find((c) => c.id === id);
+    if (!chapter) {
+      console.warn(`⚠️ Unknown chapter "${id}"`);
+      return;
+    }
+    if (!scrollTrigger) {
+      console.warn('⚠️ Chapters are not bound to a scroll timeline yet');
+      return;
+    }
+    const top = scrollTrigger.start + (scrollTrigger.end - scrollTrigger.start) * chapter.start;
+    window.scrollTo({ top: Math.ceil(top) + 1, behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+  };
+
+  const getActive = () => (active === -1 ? null : chapters[active].id);
+
+  const dispose = () => {
+    nav?.remove();
+    section.classList.remove('hero-3d--chapters');
+    blocks.forEach((block) => {
+      block?.classList.remove('hero-3d__chapter--active', 'hero-3d__chapter--past');
+      block?.removeAttribute('aria-hidden');
+    });
+  };
+
+  if (nav) {
+    nav.addEventListener('click', (e) => {
+      const dot = e.target.closest('[data-chapter-dot]');
+      if (dot) {
+        goTo(dot.dataset.chapterDot);
+      }
+    });
+  }
+
+  console.log(`📖 Chapters: ${chapters.map((c) => `${c.id} ${c.start}–${c.end}`).join(', ') || 'none'}`);
+  return { update, bindToTimeline, goTo, getActive, dispose };
+}
+
+/**
+ * Build the progress indicator (one dot per chapter, labelled by its heading)
+ */
+function createDots(section, chapters, blocks) {
+  const nav = document.createElement('nav');
+  nav.className = 'chapter-dots';
+  nav.setAttribute('aria-label', 'Chapters');
+
+  chapters.forEach((chapter, i) => {
+    const dot = document.createElement('button');
+    dot.type = 'button';
+    dot.className = 'chapter-dots__dot';
+    dot.dataset.chapterDot = chapter.id;
+    const heading = blocks[i]?.querySelector('h1, h2, h3');
+    dot.setAttribute('aria-label', heading ? heading.textContent.trim() : chapter.id);
+    dot.setAttribute('aria-current', 'false');
+    nav.appendChild(dot);
+  });
+
+  section.appendChild(nav);
+  return nav;
+}
@@ -1,5 +1,7 @@
 import gsap from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { createOrbitInterpolator, createOrbitState } from './orbitInterpolation.js';
+import { createSplineInterpolator } from './cameraPath.js';
 
 gsap.registerPlugin(ScrollTrigger);
 
@@ -25,6 +27,24 @@ export const POSES = {
   }
 };
 
+/**
+ * Ordered keyframes for the scroll timeline
+ * Each keyframe is a pose plus:
+ *   name     - unique name, used by applyPose to jump to it
+ *   progress - scroll progress (0 → 1) at which the pose is reached
+ *   ease     - GSAP ease for the segment arriving at this keyframe (default 'none')
+ *   hold     - optional progress span to hold the pose before the next segment starts
+ *   interpolation - 'linear' (default), 'orbital' or 'spline' for the segment arriving at this keyframe;
+ *              orbital swings the camera around the target instead of cutting across the chord,
+ *              spline follows a Catmull-Rom curve through every keyframe's camera position
+ *   description - optional text announced to screen readers when the pose is reached
+ * Add as many beats as the section needs; progress values must be ascending.
+ */
+export const KEYFRAMES = [
+  { name: 'START', progress: 0, ...POSES.START },
+  { name: 'END', progress: 1, ease: 'none', ...POSES.END }
+];
+
 /**
  * Configuration constants
  */
@@ -39,15 +59,39 @@ export const CONFIG = {
   DEBUG: false,
 };
 
+/**
+ * Find a keyframe (or named pose) by name
+ * With a keyframe list (e.g. a scene manifest's) only that list is searched, so a
+ * renamed or dropped START / END fails instead of jumping to the built-in poses.
+ * @param {string} name - Keyframe name, e.g. 'START'
+ * @param {Array} keyframes - Keyframe list to search (defaults to KEYFRAMES, then POSES)
+ * @returns {Object|null} Matching keyframe or POSES entry
+ */
+export function getKeyframe(name, keyframes) {
+  if (keyframes) {
+    return keyframes.find((kf) => kf.name === name) || null;
+  }
+  return KEYFRAMES.find((kf) => kf.name === name) || POSES[name] || null;
+}
+
 /**
  * Apply a pose to camera rig and target
  * @param {THREE.Object3D} cameraRig - Camera rig
  * @param {THREE.PerspectiveCamera} camera - Camera object
  * @param {Object} targetProxy - Target proxy object {x,y,z}
  * @param {Function} applyTarget - Function to apply target to controls/camera
- * @param {Object} pose - Pose object with rigPos, rigRot, camLocalPos, target, fov
+ * @param {Object|string} pose - Pose object with rigPos, rigRot, camLocalPos, target, fov, or a keyframe name
+ * @param {Array} keyframes - Keyframe list used to resolve names (see getKeyframe)
  */
-export function applyPose(cameraRig, camera, targetProxy, applyTarget, pose) {
+export function applyPose(cameraRig, camera, targetProxy, applyTarget, pose, keyframes) {
+  if (typeof pose === 'string') {
+    const name = pose;
+    pose = getKeyframe(name, keyframes);
+    if (!pose) {
+      console.warn(`⚠️ Unknown keyframe "${name}"`);
+      return;
+    }
+  }
   if (!pose) {
     return;
   }
@@ -72,83 +116,288 @@ export function applyPose(cameraRig, camera, targetProxy, applyTarget, pose) {
   }
 }
 
-export function applyStartPose(cameraRig, camera, targetProxy, applyTarget) {
-  applyPose(cameraRig, camera, targetProxy, applyTarget, POSES.START);
+/**
+ * Animate from the current view to a pose (orbiting around the target)
+ * The scroll timeline takes over again on the next scroll update.
+ * @param {THREE.Object3D} cameraRig - Camera rig
+ * @param {THREE.PerspectiveCamera} camera - Camera object
+ * @param {Object} targetProxy - Target proxy object {x,y,z}
+ * @param {Function} applyTarget - Function to apply target to controls/camera
+ * @param {Object|string} pose - Pose object or keyframe name
+ * @param {Object} opts - { keyframes, duration, ease }
+ * @returns {gsap.core.Tween|null}
+ */
+export function flyToPose(cameraRig, camera, targetProxy, applyTarget, pose, opts = {}) {
+  const { keyframes, duration = 1.2, ease = 'power2.inOut' } = opts;
+  if (typeof pose === 'string') {
+    const name = pose;
+    pose = getKeyframe(name, keyframes);
+    if (!pose) {
+      console.warn(`⚠️ Unknown keyframe "${name}"`);
+      return null;
+    }
+  }
+
+  const current = {
+    rigPos: { x: cameraRig.position.x, y: cameraRig.position.y, z: cameraRig.position.z },
+    rigRot: { x: cameraRig.rotation.x, y: cameraRig.rotation.y, z: cameraRig.rotation.z },
+    camLocalPos: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+    target: { ...targetProxy },
+    fov: camera.fov
+  };
+  const segment = { from: current, to: { camLocalPos: camera.position, fov: camera.fov, ...pose }, start: 0 };
+  const interpolate = createOrbitInterpolator(segment.from, segment.to);
+  const tl = gsap.timeline();
+  addDriverSegment(tl, segment, { duration, ease }, interpolate, cameraRig, camera, targetProxy, applyTarget);
+  return tl;
+}
+
+export function applyStartPose(cameraRig, camera, targetProxy, applyTarget, keyframes = KEYFRAMES) {
+  applyPose(cameraRig, camera, targetProxy, applyTarget, keyframes[0]);
   console.log('📷 Start pose applied');
 }
 
-export function applyEndPose(cameraRig, camera, targetProxy, applyTarget) {
-  applyPose(cameraRig, camera, targetProxy, applyTarget, POSES.END);
-  console.log('��� End pose applied');
+export function applyEndPose(cameraRig, camera, targetProxy, applyTarget, keyframes = KEYFRAMES) {
+  applyPose(cameraRig, camera, targetProxy, applyTarget, keyframes[keyframes.length - 1]);
+  console.log('📷 End pose applied');
+}
+
+/**
+ * Validate keyframes and resolve them into timeline segments
+ * A segment runs from the previous keyframe (after its hold) to the next keyframe.
+ * @param {Array} keyframes - Ordered keyframe list
+ * @returns {Array<{index: number, from: Object, to: Object, start: number, duration: number, ease: string, interpolation: string}>}
+ */
+export function buildSegments(keyframes = KEYFRAMES) {
+  if (!Array.isArray(keyframes) || keyframes.length < 2) {
+    throw new Error('Scroll timeline needs at least two keyframes');
+  }
+
+  const names = new Set();
+  keyframes.forEach((kf, i) => {
+    if (typeof kf.progress !== 'number' || kf.progress < 0 || kf.progress > 1) {
+      throw new Error(`Keyframe ${i} ("${kf.name}") needs a progress between 0 and 1`);
+    }
+    if (kf.name) {
+      if (names.has(kf.name)) {
+        throw new Error(`Duplicate keyframe name "${kf.name}"`);
+      }
+      names.add(kf.name);
+    }
+  });
+
+  const segments = [];
+  for (let i = 1; i < keyframes.length; i++) {
+    const from = keyframes[i - 1];
+    const to = keyframes[i];
+    const start = from.progress + (from.hold || 0);
+    const duration = to.progress - start;
+    if (duration < 0) {
+      throw new Error(`Keyframe "${to.name}" starts before "${from.name}" (with hold) has finished`);
+    }
+    if (to.interpolation === 'orbital' && !(from.camLocalPos && to.camLocalPos)) {
+      throw new Error(`Keyframe "${to.name}" uses orbital interpolation, which needs camLocalPos on both poses`);
+    }
+    segments.push({ index: i - 1, from, to, start, duration, ease: to.ease || 'none', interpolation: to.interpolation || 'linear' });
+  }
+
+  // Spline waypoints are every keyframe's camera position
+  if (segments.some((segment) => segment.interpolation === 'spline')) {
+    const missing = keyframes.find((kf) => !kf.camLocalPos);
+    if (missing) {
+      throw new Error(`Spline interpolation needs camLocalPos on every keyframe ("${missing.name}" has none)`);
+    }
+  }
+  return segments;
 }
 
 /**
  * Setup GSAP ScrollTrigger timeline with pose-based animation
- * Animates position, rotation, camera zoom (local position), and target
+ * Animates position, rotation, camera zoom (local position), and target through every keyframe
  * @param {THREE.Object3D} cameraRig - Camera rig to animate
  * @param {THREE.PerspectiveCamera} camera - Camera object
  * @param {Object} targetProxy - Target proxy object {x,y,z}
  * @param {Function} applyTarget - Function to apply target (controls.target or camera.lookAt)
- * @param {string} sectionSelector - CSS selector for pinned section
+ * @param {string|HTMLElement} sectionSelector - Pinned section element, or a CSS selector for it
+ * @param {Object} options - { keyframes, scrollTrigger: { start, end, scrub, markers }, cameraPath, guard } (defaults to KEYFRAMES / CONFIG)
+ *   cameraPath - Spline settings { curveType, tension }
+ *   guard      - Collision guard from createCollisionGuard, run after every timeline update
+ *   onUpdate   - Called with the progress after every timeline update (e.g. to request a render)
+ *   discrete   - Pin and scrub without tweening the camera; the caller jumps between poses (reduced motion)
  */
-export function setupScrollTimeline(cameraRig, camera, targetProxy, applyTarget, sectionSelector = '#viewer-section') {
-  const section = document.querySelector(sectionSelector);
-  
+export function setupScrollTimeline(cameraRig, camera, targetProxy, applyTarget, sectionSelector = '#viewer-section', options = {}) {
+  const { keyframes = KEYFRAMES, scrollTrigger = {} } = options;
+  const section = typeof sectionSelector === 'string' ? document.querySelector(sectionSelector) : sectionSelector;
+
   if (!section) {
     console.error(`Section "${sectionSelector}" not found`);
     return null;
   }
 
-  // Create timeline
+  const tl = createScrollTimeline(section, scrollTrigger);
+  addKeyframes(tl, keyframes, cameraRig, camera, targetProxy, applyTarget, options);
+
+  console.log(`✅ ScrollTrigger timeline created (${keyframes.length} keyframes)`);
+  return tl;
+}
+
+/**
+ * Create an empty timeline that pins a section and is scrubbed by scroll
+ * Padded to duration 1, so children positioned by progress map 1:1 onto scroll progress.
+ * @param {HTMLElement} section - Section to pin
+ * @param {Object} scrollTrigger - { start, end, scrub, markers } (defaults to CONFIG)
+ * @returns {gsap.core.Timeline}
+ */
+export function createScrollTimeline(section, scrollTrigger = {}) {
+  const {
+    start = CONFIG.TRIGGER_START,
+    end = CONFIG.TRIGGER_END,
+    scrub = CONFIG.SCRUB_SMOOTHING,
+    markers = CONFIG.DEBUG,
+  } = scrollTrigger;
+
   const tl = gsap.timeline({
     scrollTrigger: {
       trigger: section,
-      start: CONFIG.TRIGGER_START,
-      end: CONFIG.TRIGGER_END,
+      start,
+      end,
       pin: true,
-      scrub: CONFIG.SCRUB_SMOOTHING,
-      markers: CONFIG.DEBUG,
+      scrub,
+      markers,
       onUpdate: (self) => {
-        if (CONFIG.DEBUG) {
+        if (markers) {
           console.log('Scroll progress:', self.progress.toFixed(3));
         }
       },
     },
   });
+  tl.set({}, {}, 1);
+  return tl;
+}
+
+/**
+ * Create a paused pose timeline (no ScrollTrigger) for previewing keyframes
+ * Drive it with tl.progress(p) - p maps 1:1 onto keyframe progress.
+ * @param {THREE.Object3D} cameraRig - Camera rig to animate
+ * @param {THREE.PerspectiveCamera} camera - Camera object
+ * @param {Object} targetProxy - Target proxy object {x,y,z}
+ * @param {Function} applyTarget - Function to apply target
+ * @param {Array} keyframes - Ordered keyframe list
+ * @param {Object} options - { cameraPath, guard } (see setupScrollTimeline)
+ */
+export function createPoseTimeline(cameraRig, camera, targetProxy, applyTarget, keyframes = KEYFRAMES, options = {}) {
+  const tl = gsap.timeline({ paused: true });
+  addKeyframes(tl, keyframes, cameraRig, camera, targetProxy, applyTarget, options);
+  return tl;
+}
+
+/**
+ * Add every keyframe segment to a timeline
+ */
+function addKeyframes(tl, keyframes, cameraRig, camera, targetProxy, applyTarget, options = {}) {
+  const { cameraPath, guard, onUpdate, discrete = false } = options;
+  const segments = buildSegments(keyframes);
+  const spline = segments.some((segment) => segment.interpolation === 'spline')
+    ? createSplineInterpolator(keyframes, cameraPath)
+    : null;
+
+  if (!discrete) {
+    segments.forEach((segment) => addSegment(tl, segment, cameraRig, camera, targetProxy, applyTarget, spline));
+  }
+
+  // Pad timeline to exactly 1 so keyframe progress maps 1:1 onto scroll progress
+  tl.set({}, {}, 1);
+
+  // Collision guard runs after all segment tweens have written this frame
+  if (guard || onUpdate) {
+    tl.eventCallback('onUpdate', () => {
+      guard?.constrain(cameraRig, camera, targetProxy, applyTarget, tl.progress());
+      onUpdate?.(tl.progress());
+    });
+  }
+}
+
+/**
+ * Add one keyframe segment to the timeline
+ * Uses fromTo so every segment is deterministic regardless of scroll direction
+ */
+function addSegment(tl, segment, cameraRig, camera, targetProxy, applyTarget, spline) {
+  const { index, from, to, start, duration, ease, interpolation } = segment;
+  const vars = { duration, ease, immediateRender: false };
+
+  if (interpolation === 'orbital') {
+    addDriverSegment(tl, segment, vars, createOrbitInterpolator(from, to), cameraRig, camera, targetProxy, applyTarget);
+    return;
+  }
+
+  if (interpolation === 'spline') {
+    const interpolate = (t, out) => spline.interpolate(index, t, out);
+    addDriverSegment(tl, segment, vars, interpolate, cameraRig, camera, targetProxy, applyTarget);
+    return;
+  }
 
   // Animate rig position
-  tl.to(cameraRig.position, {
-    ...POSES.END.rigPos,
-    ease: 'none'
-  }, 0);
+  tl.fromTo(cameraRig.position, { ...from.rigPos }, { ...to.rigPos, ...vars }, start);
 
   // Animate rig rotation
-  tl.to(cameraRig.rotation, {
-    ...POSES.END.rigRot,
-    ease: 'none'
-  }, 0);
+  tl.fromTo(cameraRig.rotation, { ...from.rigRot }, { ...to.rigRot, ...vars }, start);
 
   // Animate camera local position (zoom/dolly) - CRITICAL for exact view
-  if (POSES.END.camLocalPos) {
-    tl.to(camera.position, {
-      ...POSES.END.camLocalPos,
-      ease: 'none'
-    }, 0);
+  if (from.camLocalPos && to.camLocalPos) {
+    tl.fromTo(camera.position, { ...from.camLocalPos }, { ...to.camLocalPos, ...vars }, start);
+  }
+
+  // Animate FOV only when it changes between keyframes
+  if (from.fov !== undefined && to.fov !== undefined && from.fov !== to.fov) {
+    tl.fromTo(camera, { fov: from.fov }, {
+      fov: to.fov,
+      ...vars,
+      onUpdate: () => camera.updateProjectionMatrix()
+    }, start);
   }
 
   // Animate target with onUpdate callback
-  tl.to(targetProxy, {
-    ...POSES.END.target,
-    ease: 'none',
+  tl.fromTo(targetProxy, { ...from.target }, {
+    ...to.target,
+    ...vars,
     onUpdate: () => {
       if (applyTarget) {
         applyTarget(targetProxy);
       }
     }
-  }, 0);
+  }, start);
+}
 
-  console.log('✅ ScrollTrigger timeline created (pose-based with zoom)');
-  return tl;
+/**
+ * Add an orbital or spline segment: one eased driver tween whose onUpdate
+ * writes the interpolated rig, camera and target state
+ * @param {Function} interpolate - (t, out) => out, see createOrbitState
+ */
+function addDriverSegment(tl, segment, vars, interpolate, cameraRig, camera, targetProxy, applyTarget) {
+  const { from, to, start } = segment;
+  const state = createOrbitState();
+  const animateFov = from.fov !== undefined && to.fov !== undefined;
+
+  tl.fromTo({ t: 0 }, { t: 0 }, {
+    t: 1,
+    ...vars,
+    onUpdate: function () {
+      interpolate(this.targets()[0].t, state);
+      cameraRig.position.copy(state.rigPos);
+      cameraRig.quaternion.copy(state.rigQuat);
+      camera.position.copy(state.camLocalPos);
+      if (animateFov && camera.fov !== state.fov) {
+        camera.fov = state.fov;
+        camera.updateProjectionMatrix();
+      }
+      targetProxy.x = state.target.x;
+      targetProxy.y = state.target.y;
+      targetProxy.z = state.target.z;
+      if (applyTarget) {
+        applyTarget(targetProxy);
+      }
+    }
+  }, start);
 }
 
 /**
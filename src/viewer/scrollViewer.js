@@ -0,0 +1,1138 @@
+import * as THREE from 'three';
+import { initViewer, setupResize, startRenderLoop, autoFrame } from './initViewer.js';
+import { loadModel } from './loadModel.js';
+import { createLighting, configureRenderer, fitShadowCamera, setShadowMapSize } from './lighting.js';
+import { createGround, getVisibleBounds } from './ground.js';
+import { createPostProcessing } from './postProcessing.js';
+import { createQualityGovernor, readQualityParam, QUALITY_TIERS } from './qualityGovernor.js';
+import { setTransmissionFallback } from './materialRules.js';
+import { createUserOrbit } from './userOrbit.js';
+import { setupScrollTimeline, createScrollTimeline, applyPose, applyStartPose, flyToPose, createDebouncedRefresh } from './scrollTimeline.js';
+import { loadSceneManifest, resolveManifestUrl, resolveMaterialRules, resolveLightingPresets } from './sceneManifest.js';
+import { createCollisionGuard, sampleCameraPath, createPathHelper } from './pathGuard.js';
+import { createAnimationController, bindClipsToTimeline, startClipLoops } from './modelAnimations.js';
+import { createConfigurator } from './configurator.js';
+import { createHotspots } from './hotspots.js';
+import { createScrollChapters } from './scrollChapters.js';
+import { createLoadingManager } from './loadingManager.js';
+import { createDecoders } from './decoders.js';
+import { createModelFrame, resolveKeyframes, toModelPose } from './modelPoses.js';
+import { createPoseSteps, createCrossfade, prefersReducedMotion, REDUCED_MOTION_QUERY } from './accessibility.js';
+import { getFallbackReason, createSequencePlayer } from './sequenceFallback.js';
+
+/**
+ * One scroll-driven 3D section
+ *
+ * Owns its scene, renderer, scroll timeline, listeners and loaded assets, so
+ * several viewers can run on one page, each pinned to its own section:
+ *
+ *   const viewer = new ScrollViewer(document.querySelector('#viewer-section'));
+ *   await viewer.init();
+ *   ...
+ *   viewer.destroy(); // e.g. when an SPA route unmounts the section
+ *
+ * destroy() kills the ScrollTrigger, disposes geometries, materials, textures
+ * and the lighting's environment maps, and releases the WebGL context.
+ */
+export class ScrollViewer {
+  /**
+   * @param {HTMLElement} section - Section to pin (holds the canvas and any chapter copy)
+   * @param {Object} opts - { canvas (defaults to the section's first canvas), manifestUrl (defaults to resolveManifestUrl) }
+   */
+  constructor(section, opts = {}) {
+    this.section = section;
+    this.canvas = opts.canvas || section.querySelector('canvas');
+    this.manifestUrl = opts.manifestUrl || resolveManifestUrl(section);
+
+    this.manifest = null;
+    this.keyframes = [];
+    this.model = null;
+    this.modelSphere = null;
+    this.modelFrame = createModelFrame(); // Unit frame until the model loads
+    this.timeline = null;
+    this.configurator = null;
+    this.materialOverrides = null;
+    this.destroyed = false;
+
+    this.teardowns = [];
+    this.guard = null;
+    this.timelineOptions = {};
+    this.lighting = null;
+    this.ground = null;
+    this.post = null;
+    this.quality = null;
+    this.clipController = null;
+    this.hotspots = null;
+    this.chapters = null;
+    this.poseSteps = null;
+    this.fader = null;
+    this.motion = 'scrub';
+    this.authoring = null;
+    this.orbit = null;
+    this.pathHelper = null;
+    this.loop = null;
+    this.loading = null;
+    this.decoders = null;
+    this.flight = null;
+    this.debug = null;
+    this.status = '';
+    this.parser = null;
+    this.deterministic = false;
+    this.frameRequest = 0;
+  }
+
+  /**
+   * Load the manifest, model and lighting, then build the scroll timeline
+   * @returns {Promise<ScrollViewer>} Resolves once ready (or early if destroyed meanwhile)
+   */
+  async init() {
+    if (!this.canvas) {
+      console.error('Canvas element not found');
+      return this;
+    }
+
+    // Progress bar + poster over the canvas, shared by the GLB, HDRI and textures
+    // It's up before the manifest loads, so a broken manifest gets a message and a retry too
+    if (!this.loading) {
+      this.loading = createLoadingManager(this.canvas.parentElement);
+      this.teardowns.push(() => this.loading.dispose());
+    }
+
+    // Load scene manifest first: it decides between WebGL and the image-sequence fallback
+    try {
+      this.manifest = await loadSceneManifest(this.manifestUrl);
+    } catch (error) {
+      console.error(error.message);
+      if (!this.destroyed) {
+        this.loading.fail('The 3D scene could not be loaded.', () => {
+          this.loading.reset();
+          this.init();
+        });
+      }
+      return this;
+    }
+    if (this.destroyed) {
+      return this;
+    }
+    const { manifest } = this;
+    this.loading.setPoster(manifest.poster);
+
+    // Pre-rendered frames when WebGL is missing, software-only or the device looks low-power
+    const fallbackReason = getFallbackReason(manifest.fallback);
+    if (fallbackReason) {
+      if (manifest.fallback.sequence) {
+        return this.initSequence(fallbackReason);
+      }
+      console.warn(`⚠️ ${fallbackReason}, but the scene has no fallback.sequence; trying WebGL`);
+    }
+
+    // Initialize Three.js
+    let viewer;
+    try {
+      viewer = initViewer(this.canvas);
+    } catch (error) {
+      console.error(`WebGL renderer could not be created: ${error.message}`);
+      if (manifest.fallback.sequence) {
+        return this.initSequence('WebGL renderer failed');
+      }
+      this.loading.fail('This browser can\'t display the 3D view (WebGL is unavailable).');
+      return this;
+    }
+    this.scene = viewer.scene;
+    this.camera = viewer.camera;
+    this.cameraRig = viewer.cameraRig;
+    this.renderer = viewer.renderer;
+    this.controls = viewer.controls;
+    console.log('✅ Three.js initialized');
+    const { scene, camera, renderer, controls } = this;
+
+    this.setupAccessibility(this.canvas);
+
+    // DRACO / meshopt / KTX2 decoders, kept for variant textures loaded after the model
+    this.decoders = createDecoders(renderer, manifest.decoders, this.loading.manager);
+    this.teardowns.push(() => this.decoders.dispose());
+
+    // Configure renderer for professional rendering
+    configureRenderer(renderer, manifest.renderer);
+    scene.background = new THREE.Color(manifest.renderer.background);
+
+    // Optional composer: AO, DOF focused on the camera target, bloom, vignette, SMAA
+    if (manifest.postProcessing.enabled) {
+      this.post = createPostProcessing(renderer, scene, camera, {
+        ...manifest.postProcessing,
+        getFocus: () => this.targetProxy,
+      });
+      this.teardowns.push(() => this.post.dispose());
+    }
+    // Quality tier from measured frame time (or held by ?quality= / quality.tier): pixel ratio, shadows, glass, passes
+    // A ?progress= render holds the start tier, so slow software GL can't change what it captures
+    const heldTier = readProgressParam() !== null ? manifest.quality.start : manifest.quality.tier;
+    this.quality = createQualityGovernor({
+      ...manifest.quality,
+      tier: readQualityParam() ?? heldTier,
+      onChange: (name, { auto }) => this.applyQuality(name, auto),
+    });
+    this.applyQuality(this.quality.getTier(), this.quality.isAuto());
+
+    this.teardowns.push(setupResize(camera, renderer, this.canvas, () => this.maxPixelRatio(), () => {
+      this.post?.setSize();
+      this.invalidate();
+    }));
+
+    // Start render loop (advances animation clips and re-projects hotspots once the model is in)
+    // On demand, frames are drawn only when something below marks them dirty
+    // With a fixed progress (setProgress) the clock is frozen so looping clips can't vary the frame
+    // Clips move parts, so the contact shadow is redrawn whenever one actually moved
+    // Frame deltas feed the quality governor, except for fixed-progress renders, which hold their tier
+    this.loop = startRenderLoop(renderer, scene, camera, controls, (delta) => {
+      if (!this.deterministic) {
+        this.quality.sample(delta);
+      }
+      const animating = this.clipController?.update(this.deterministic ? 0 : delta, { pinned: Boolean(this.timeline?.scrollTrigger?.isActive) });
+      if (this.clipController?.takeMoved()) {
+        this.ground?.render();
+      }
+      this.withView(() => this.hotspots?.update(this.getProgress()));
+      return animating && !this.deterministic;
+    }, { onDemand: manifest.renderer.onDemand, render: () => this.renderFrame() });
+    this.teardowns.push(this.loop.stop);
+    controls.addEventListener('change', () => this.invalidate());
+    console.log(`✅ Render loop started (${manifest.renderer.onDemand ? 'on demand' : 'continuous'})`);
+
+    // Debug panel (D): stats, live edits and shortcuts, dropped from production builds
+    if (import.meta.env.DEV) {
+      import('./debugPanel.js').then(({ createDebugPanel }) => {
+        if (!this.destroyed) {
+          this.debug = createDebugPanel(this);
+          this.teardowns.push(() => this.debug.dispose());
+        }
+      });
+    }
+
+    // Create target proxy for scroll-driven camera target animation
+    // Every camera write (timeline, fly-to, pose jumps, authoring preview) ends here, so it requests a render
+    this.targetProxy = { x: 0, y: 0, z: 0 };
+    this.applyTarget = (target) => {
+      if (controls.enabled) {
+        controls.target.set(target.x, target.y, target.z);
+        controls.update();
+      } else {
+        camera.lookAt(target.x, target.y, target.z);
+      }
+      this.invalidate();
+    };
+
+    // Visitor orbit: drags offset the scroll pose and ease back onto it (off while the debug OrbitControls are on)
+    if (manifest.orbit.enabled) {
+      this.orbit = createUserOrbit(camera, this.targetProxy, this.canvas, {
+        ...manifest.orbit,
+        returnDuration: prefersReducedMotion() ? 0 : manifest.orbit.returnDuration,
+        isEnabled: () => !controls.enabled,
+        getScrollProgress: () => this.timeline?.scrollTrigger?.progress ?? this.getProgress(),
+        onChange: () => this.invalidate(),
+      });
+      this.teardowns.push(() => this.orbit.dispose());
+    }
+
+    await this.loadAssets();
+    if (this.destroyed) {
+      this.disposeScene();
+      return this;
+    }
+
+    // Poses may be model-relative, so resolve them once the model's bounds are known
+    this.keyframes = this.resolveKeyframes();
+
+    // Apply start pose AFTER model + lighting are ready
+    applyStartPose(this.cameraRig, camera, this.targetProxy, this.applyTarget, this.keyframes);
+
+    // Collision guard keeps the camera path outside the model's bounding sphere
+    this.timelineOptions = { cameraPath: manifest.cameraPath, guard: null };
+    this.setupGuard();
+    this.auditPath(this.keyframes);
+
+    // Chapter copy blocks synced to timeline progress
+    if (manifest.chapters.length > 0) {
+      this.chapters = createScrollChapters(this.section, manifest.chapters);
+      this.teardowns.push(() => this.chapters.dispose());
+    }
+
+    this.timeline = this.createTimeline(this.keyframes);
+    console.log(`✅ Scroll timeline created (${this.motion})`);
+
+    // Follow the reduced-motion preference live (rebuilds the timeline in the new mode)
+    const motionQuery = window.matchMedia?.(REDUCED_MOTION_QUERY);
+    if (motionQuery) {
+      const onMotionChange = () => this.setKeyframes(this.keyframes);
+      motionQuery.addEventListener('change', onMotionChange);
+      this.teardowns.push(() => motionQuery.removeEventListener('change', onMotionChange));
+    }
+
+    // Pose authoring panel (K) - rebuilds the scroll timeline from authored keyframes, dropped from production builds
+    if (import.meta.env.DEV) {
+      import('./poseAuthoring.js').then(({ createPoseAuthoring }) => {
+        if (this.destroyed) {
+          return;
+        }
+        this.authoring = createPoseAuthoring(
+          { cameraRig: this.cameraRig, camera, controls, targetProxy: this.targetProxy, applyTarget: this.applyTarget },
+          {
+            storageKey: `pose-authoring:${manifest.name}`,
+            keyframes: this.keyframes,
+            timelineOptions: this.timelineOptions,
+            onApply: (frames) => this.setKeyframes(frames),
+            toManifest: (frames) => this.getKeyframes(manifest.poseSpace, frames),
+            toWorld: (frames) => resolveKeyframes(frames, manifest.poseSpace, this.modelFrame),
+          }
+        );
+        this.teardowns.push(() => this.authoring.dispose());
+      });
+    }
+
+    // Refresh after page load and on resize (layout may shift)
+    const debouncedRefresh = createDebouncedRefresh(300);
+    window.addEventListener('load', debouncedRefresh);
+    window.addEventListener('resize', debouncedRefresh);
+    this.teardowns.push(() => {
+      window.removeEventListener('load', debouncedRefresh);
+      window.removeEventListener('resize', debouncedRefresh);
+    });
+
+    // ?progress=0.42 holds the timeline at one progress for deterministic renders (scripts/golden.mjs)
+    const fixedProgress = readProgressParam();
+    if (fixedProgress !== null) {
+      this.setProgress(fixedProgress);
+    }
+
+    if (this.model) {
+      this.revealFirstFrame();
+    }
+    console.log(`✅ Viewer ready: ${manifest.name}`);
+    this.setStatus('✅ Ready');
+    return this;
+  }
+
+  /**
+   * Canvas name, keyboard stepping (section focused) and pose announcements
+   * @param {HTMLCanvasElement} canvas - Canvas showing the scene (WebGL or image sequence)
+   */
+  setupAccessibility(canvas) {
+    this.fader = createCrossfade(canvas);
+    this.poseSteps = createPoseSteps(this.section, [], {
+      canvas,
+      label: this.manifest.accessibility.label,
+      onStep: (index, keyframe, { initial }) => this.showStep(keyframe, initial),
+    });
+    this.teardowns.push(() => {
+      this.poseSteps.dispose();
+      this.fader.dispose();
+      this.section.classList.remove('hero-3d--static');
+    });
+  }
+
+  /**
+   * Scrub the pre-rendered image sequence instead of the WebGL scene
+   * Same pin, chapters, keyboard stepping and reduced-motion modes; no hotspots, clips or configurator.
+   * @param {string} reason - Why WebGL isn't used
+   * @returns {Promise<ScrollViewer>}
+   */
+  async initSequence(reason) {
+    const { manifest } = this;
+    console.log(`🎞️  Image-sequence fallback (${reason})`);
+    const sequence = createSequencePlayer(this.canvas, manifest.fallback.sequence, { maxPixelRatio: manifest.renderer.maxPixelRatio });
+    this.sequence = sequence;
+    this.teardowns.push(() => sequence.dispose());
+    this.setupAccessibility(this.sequence.canvas);
+
+    // Only progress, names and descriptions matter here, so poses stay unresolved
+    this.keyframes = manifest.keyframes;
+    if (manifest.chapters.length > 0) {
+      this.chapters = createScrollChapters(this.section, manifest.chapters);
+      this.teardowns.push(() => this.chapters.dispose());
+    }
+    this.timeline = this.createTimeline(this.keyframes);
+
+    const debouncedRefresh = createDebouncedRefresh(300);
+    window.addEventListener('load', debouncedRefresh);
+    window.addEventListener('resize', debouncedRefresh);
+    this.teardowns.push(() => {
+      window.removeEventListener('load', debouncedRefresh);
+      window.removeEventListener('resize', debouncedRefresh);
+    });
+
+    try {
+      await this.sequence.ready;
+    } catch (error) {
+      if (!this.destroyed) {
+        console.error(error.message);
+        this.loading.fail('The 3D preview could not be loaded.');
+      }
+      return this;
+    }
+    if (this.destroyed) {
+      return this;
+    }
+
+    const fixedProgress = readProgressParam();
+    if (fixedProgress !== null) {
+      this.setProgress(fixedProgress);
+    }
+    this.revealFirstFrame();
+    console.log(`✅ Viewer ready: ${manifest.name} (image sequence)`);
+    return this;
+  }
+
+  /**
+   * Load the model and lighting into the scene (model and HDRI download side by side)
+   */
+  async loadAssets() {
+    const { manifest, scene, renderer } = this;
+    const { lighting } = manifest;
+
+    // Lighting preset: HDRI environment (RoomEnvironment if it's missing), studio rig, exposure, background
+    // With a fixed progress (setProgress) presets switch without crossfading
+    this.lighting = createLighting(renderer, scene, {
+      presets: resolveLightingPresets(lighting, manifest.renderer),
+      preset: lighting.preset,
+      environment: lighting.hdri.enabled,
+      duration: lighting.transition,
+      shadowMapSize: this.shadowMapSize(),
+      shadowBias: lighting.studio.shadowBias,
+      loading: this.loading,
+      instant: () => this.deterministic,
+      onChange: () => this.invalidate(),
+    });
+
+    await Promise.all([this.loadModelAssets(), this.lighting.ready]);
+    this.invalidate();
+  }
+
+  /**
+   * Load the model and everything bound to it: clips, configurator, hotspots, shadow catcher
+   * On failure whatever was set up is removed again and the loading overlay offers a retry.
+   * @returns {Promise<boolean>} Whether the model loaded
+   */
+  async loadModelAssets() {
+    const { manifest, scene, camera } = this;
+
+    try {
+      this.setStatus('⏳ Loading model...');
+      const { model, sphere, box, animations, parser, variants, materialOverrides } = await loadModel(manifest.model.url, scene, {
+        materialRules: resolveMaterialRules(manifest.materials),
+        loading: this.loading,
+        decoders: this.decoders,
+      });
+      this.model = model;
+      this.modelSphere = sphere;
+      this.modelFrame = createModelFrame(box);
+      this.parser = parser;
+      this.materialOverrides = materialOverrides;
+      if (this.destroyed) {
+        return false;
+      }
+
+      this.clipController = createAnimationController(model, animations);
+      startClipLoops(this.clipController, manifest.animations);
+
+      // Configurator: configuration state drives node visibility and materials (the ground follows what's shown)
+      // Variants can swap transmission glass back in, so the quality tier's glass is re-applied too
+      this.configurator = createConfigurator(model, manifest.configurator, {
+        parser,
+        variants,
+        onChange: () => {
+          this.fitGround();
+          this.applyTransmission();
+        },
+      });
+      this.applyTransmission();
+
+      // Feature callouts anchored to model nodes (click flies to the hotspot's pose)
+      this.hotspots = createHotspots({ camera, model, container: this.canvas.parentElement }, manifest.hotspots, {
+        onClick: (hotspot) => {
+          if (hotspot.pose) {
+            this.flyTo(hotspot.pose);
+          }
+        },
+      });
+
+      // Shadow catcher and contact shadow under the model, key light shadow fitted to it
+      this.ground = createGround(scene, this.renderer, manifest.lighting);
+      this.fitGround();
+
+      this.teardowns.push(() => {
+        this.hotspots?.dispose();
+        this.ground?.dispose();
+      });
+      this.setStatus('✅ Model loaded');
+      return true;
+    } catch (error) {
+      if (this.destroyed) {
+        return false;
+      }
+      // loadModel already logged download and decode errors; a step after it failing is logged here
+      const setupFailed = Boolean(this.model);
+      this.unbindModel();
+      const cancelled = error.name === 'AbortError';
+      if (error.status === 404) {
+        console.warn(`Missing ${manifest.model.url}. Add it to public/ to view the model.`);
+      } else if (setupFailed) {
+        console.error(`❌ Model setup failed: ${error.message}`);
+      }
+      this.setStatus(cancelled ? '⏹️ Model load cancelled' : '❌ Model load failed');
+      this.loading.fail(cancelled ? 'Loading cancelled.' : 'The 3D model could not be loaded.', () => this.retryModel());
+      // Continue anyway with empty scene
+      return false;
+    }
+  }
+
+  /**
+   * Take a half-set-up model back out of the scene, so a retry starts clean
+   */
+  unbindModel() {
+    this.hotspots?.dispose();
+    this.hotspots = null;
+    this.ground?.dispose();
+    this.ground = null;
+    this.configurator = null;
+    this.clipController?.mixer.stopAllAction();
+    this.clipController = null;
+    this.materialOverrides?.revert();
+    this.materialOverrides = null;
+    if (this.model) {
+      this.model.removeFromParent();
+      disposeObject(this.model);
+    }
+    this.model = null;
+    this.modelSphere = null;
+    this.modelFrame = createModelFrame();
+    this.parser = null;
+    this.invalidate();
+  }
+
+  /**
+   * Try the model again after a failed or cancelled load, then rebuild the timeline around it
+   */
+  async retryModel() {
+    if (this.model || this.destroyed) {
+      return;
+    }
+    this.loading.reset();
+    const loaded = await this.loadModelAssets();
+    if (!loaded || this.destroyed) {
+      return;
+    }
+    this.setupGuard();
+    if (this.keyframes.length > 0) {
+      this.setKeyframes(this.resolveKeyframes());
+    }
+    this.revealFirstFrame();
+  }
+
+  /**
+   * Abort the model / HDRI downloads in flight
+   */
+  cancelLoading() {
+    this.loading?.cancel();
+  }
+
+  /**
+   * Hide the poster and progress bar once a frame with the model has been drawn
+   */
+  revealFirstFrame() {
+    this.frameReady().then(() => this.loading?.finish(), (error) => {
+      if (!this.destroyed) {
+        console.error(error.message);
+        this.loading?.fail('The 3D preview could not be loaded.');
+      }
+    });
+  }
+
+  /**
+   * Resolve once a frame is drawn with everything in place: model, HDRI and compiled shaders
+   * The section then gets `data-frame-ready` and a `frameready` event (detail: { progress }).
+   * A newer request (e.g. another setProgress) supersedes an older one.
+   * @returns {Promise<void>} Rejects when an image-sequence frame fails to load
+   */
+  async frameReady() {
+    const request = ++this.frameRequest;
+    delete this.section.dataset.frameReady;
+    if (this.sequence) {
+      try {
+        await this.sequence.whenDrawn();
+      } catch (error) {
+        // Only the newest request reports a missing frame
+        if (this.destroyed || request !== this.frameRequest) {
+          return;
+        }
+        throw error;
+      }
+    } else {
+      await this.lighting?.whenSettled();
+      await this.renderer.compileAsync(this.scene, this.camera);
+      await this.loop.whenRendered();
+    }
+    if (this.destroyed || request !== this.frameRequest) {
+      return;
+    }
+    this.section.dataset.frameReady = 'true';
+    this.section.dispatchEvent(new CustomEvent('frameready', { detail: { progress: this.getProgress() } }));
+  }
+
+  /**
+   * Set the timeline progress directly, bypassing scroll and scrub smoothing
+   * Detaches the ScrollTrigger (unpinning the section, which is scrolled into view)
+   * and freezes clock-driven clips, so a progress always renders the same frame.
+   * followScroll() hands control back to the page scroll.
+   * @param {number} progress - 0 → 1
+   * @returns {Promise<void>} Resolves when that frame is drawn (see frameReady)
+   */
+  setProgress(progress) {
+    this.deterministic = true;
+    this.flight?.kill();
+    const scrollTrigger = this.timeline?.scrollTrigger;
+    if (scrollTrigger?.enabled) {
+      scrollTrigger.disable();
+      this.section.scrollIntoView({ block: 'start' });
+    }
+    if (this.timeline) {
+      this.timeline.progress(progress);
+    } else {
+      this.poseSteps?.update(progress); // Static reduced-motion mode: the last keyframe reached
+    }
+    console.log(`🎞️  Progress fixed at ${progress}`);
+    this.invalidate();
+    return this.frameReady();
+  }
+
+  /**
+   * Re-attach the timeline to the page scroll after setProgress
+   */
+  followScroll() {
+    this.deterministic = false;
+    this.timeline?.scrollTrigger?.enable();
+    this.invalidate();
+  }
+
+  /**
+   * Current timeline progress (0 → 1)
+   */
+  getProgress() {
+    return this.timeline ? this.timeline.progress() : 0;
+  }
+
+  /**
+   * Render the current frame and return it as an image (canvas pixels only, no DOM overlays)
+   * @param {string} type - Image MIME type
+   * @param {number} quality - 0 → 1 for lossy types (image/webp, image/jpeg)
+   * @returns {string} Data URL
+   */
+  captureFrame(type = 'image/png', quality = undefined) {
+    if (this.sequence) {
+      return this.sequence.canvas.toDataURL(type, quality);
+    }
+    this.renderFrame();
+    return this.renderer.domElement.toDataURL(type, quality);
+  }
+
+  /**
+   * Draw the scene to the canvas, through the post-processing passes when the scene enables them
+   */
+  renderFrame() {
+    this.withView(() => {
+      if (this.post) {
+        this.post.render();
+      } else {
+        this.renderer.render(this.scene, this.camera);
+      }
+    });
+    this.debug?.frame();
+  }
+
+  /**
+   * Run a callback with the camera where the visitor sees it: the scroll pose plus any orbit drag
+   * The timeline's pose is back in place when it returns.
+   */
+  withView(callback) {
+    if (this.orbit) {
+      this.orbit.withView(callback);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * Create (or recreate) the bounding-sphere collision guard for the loaded model
+   */
+  setupGuard() {
+    this.guard = this.modelSphere && this.manifest.collision.enabled
+      ? createCollisionGuard(this.modelSphere, this.manifest.collision)
+      : null;
+    this.timelineOptions.guard = this.guard;
+  }
+
+  /**
+   * World keyframes for the loaded model
+   * Manifest keyframes are resolved from their poseSpace; with none at all the
+   * model is auto-framed, and END holds that view so chapters and clips still scrub.
+   * @returns {Array} Ordered world keyframes
+   */
+  resolveKeyframes() {
+    const { keyframes, poseSpace } = this.manifest;
+    if (keyframes.length === 0) {
+      const start = autoFrame(new THREE.Sphere(this.modelFrame.center, this.modelFrame.radius), { fov: this.camera.fov });
+      return [
+        { name: 'START', progress: 0, ...start },
+        { name: 'END', progress: 1, ...start },
+      ];
+    }
+    if (poseSpace !== 'world') {
+      console.log(`📐 Keyframes resolved from ${poseSpace} space (model radius ${this.modelFrame.radius.toFixed(2)})`);
+    }
+    return resolveKeyframes(keyframes, poseSpace, this.modelFrame);
+  }
+
+  /**
+   * Current keyframes expressed in a pose space, e.g. to move a world timeline to 'sphere'
+   * @param {string} space - 'world', 'sphere' or 'box' (defaults to the manifest's poseSpace)
+   * @param {Array} frames - World keyframes to convert (defaults to the live ones)
+   * @returns {Array}
+   */
+  getKeyframes(space = this.manifest.poseSpace, frames = this.keyframes) {
+    return frames.map((kf) => toModelPose(kf, space, this.modelFrame));
+  }
+
+  /**
+   * Setup ScrollTrigger timeline with pose-based animation (+ scroll-scrubbed clips and chapters)
+   * Under reduced motion the camera steps between poses instead ('steps'), or the
+   * section isn't pinned at all ('static', returns null).
+   */
+  createTimeline(frames) {
+    this.motion = this.motionMode();
+    this.section.classList.toggle('hero-3d--static', this.motion === 'static');
+    this.poseSteps.setKeyframes(frames);
+    if (this.motion === 'static') {
+      // Copy flows normally (every chapter block shown); arrow keys still switch poses
+      this.section.querySelectorAll('[data-chapter]').forEach((block) => block.removeAttribute('aria-hidden'));
+      this.lighting?.bindToTimeline(null, frames);
+      this.post?.bindToTimeline(null, frames);
+      this.poseSteps.bindToTimeline(null);
+      return null;
+    }
+
+    if (this.sequence) {
+      const tl = createScrollTimeline(this.section, this.manifest.scrollTrigger);
+      if (this.motion === 'scrub') {
+        this.sequence.bindToTimeline(tl);
+      }
+      this.chapters?.bindToTimeline(tl);
+      this.poseSteps.bindToTimeline(tl);
+      return tl;
+    }
+
+    const tl = setupScrollTimeline(this.cameraRig, this.camera, this.targetProxy, this.applyTarget, this.section, {
+      ...this.timelineOptions,
+      keyframes: frames,
+      scrollTrigger: this.manifest.scrollTrigger,
+      // Scroll-scrubbed clips can change during camera holds; scrolling hands an orbit drag back to the timeline
+      onUpdate: () => {
+        this.orbit?.onTimelineUpdate();
+        this.invalidate();
+      },
+      discrete: this.motion === 'steps',
+    });
+    if (this.clipController) {
+      bindClipsToTimeline(tl, this.clipController, this.manifest.animations);
+    }
+    this.lighting?.bindToTimeline(tl, frames);
+    this.post?.bindToTimeline(tl, frames);
+    this.chapters?.bindToTimeline(tl);
+    this.poseSteps.bindToTimeline(tl);
+    return tl;
+  }
+
+  /**
+   * Camera motion for this visitor: 'scrub', or the manifest's reduced-motion mode ('steps' / 'static')
+   */
+  motionMode() {
+    return prefersReducedMotion() ? this.manifest.accessibility.reducedMotion : 'scrub';
+  }
+
+  /**
+   * Show the pose of the step just reached (reduced motion only; scrubbing moves the camera itself)
+   * @param {Object} keyframe - Keyframe reached
+   * @param {boolean} initial - First sync after (re)building the timeline: jump without fading
+   */
+  showStep(keyframe, initial) {
+    if (this.motion === 'scrub') {
+      return;
+    }
+    const show = () => {
+      if (this.sequence) {
+        this.sequence.draw(keyframe.progress);
+        return;
+      }
+      this.applyPose(keyframe);
+      if (!this.timeline) {
+        // Static mode: no timeline drives the presets or pass params
+        this.lighting?.update(keyframe.progress);
+        this.post?.update(keyframe.progress);
+      }
+    };
+    if (initial || this.deterministic) {
+      show();
+    } else {
+      this.fader.crossfade(show);
+    }
+  }
+
+  /**
+   * Replace the keyframes and rebuild the scroll timeline
+   * @param {Array} frames - Ordered keyframe list
+   */
+  setKeyframes(frames) {
+    const progress = this.getProgress();
+    this.keyframes = frames;
+    this.killTimeline();
+    this.timeline = this.createTimeline(frames);
+    if (this.deterministic) {
+      this.setProgress(progress);
+    }
+    this.auditPath(frames);
+    if (this.pathHelper) {
+      this.togglePathHelper(true);
+    }
+  }
+
+  auditPath(frames) {
+    return this.guard?.audit(sampleCameraPath(frames, this.timelineOptions));
+  }
+
+  /**
+   * Jump to a pose or keyframe name
+   */
+  applyPose(pose) {
+    if (!pose || !this.targetProxy) {
+      return;
+    }
+    applyPose(this.cameraRig, this.camera, this.targetProxy, this.applyTarget, pose, this.keyframes ?? []);
+  }
+
+  /**
+   * Animate to a pose or keyframe name (the scroll timeline takes over on the next scroll)
+   * Under reduced motion it fades to the pose instead.
+   */
+  flyTo(pose, opts = {}) {
+    this.flight?.kill();
+    if (!this.cameraRig) {
+      return null;
+    }
+    this.orbit?.release();
+    if (this.motion !== 'scrub') {
+      this.flight = null;
+      this.fader.crossfade(() => this.applyPose(pose));
+      return null;
+    }
+    this.flight = flyToPose(this.cameraRig, this.camera, this.targetProxy, this.applyTarget, pose, { keyframes: this.keyframes ?? [], ...opts });
+    return this.flight;
+  }
+
+  /**
+   * Apply configuration choices, rendering every frame while animated changes run
+   */
+  setConfiguration(next, opts) {
+    if (!this.configurator) {
+      return Promise.resolve({});
+    }
+    return this.loop.keepAlive(this.configurator.setConfiguration(next, opts));
+  }
+
+  getConfiguration() {
+    return this.configurator ? this.configurator.getConfiguration() : {};
+  }
+
+  /**
+   * Fit the ground and the key light's shadow frustum to the model's visible parts
+   * Runs after the model loads, after every configuration change and on quality
+   * tier changes (the shadow map size follows the tier). Parts shown, hidden or
+   * turned to glass also change what hides a hotspot, so occlusion is re-tested.
+   */
+  fitGround() {
+    this.hotspots?.invalidate();
+    const bounds = this.model ? getVisibleBounds(this.model) : new THREE.Box3();
+    if (!bounds.isEmpty()) {
+      this.ground?.fit(bounds);
+    }
+    const keyLight = this.lighting?.lights.keyLight;
+    const { shadowFit } = this.manifest.lighting;
+    if (keyLight && shadowFit.enabled && !bounds.isEmpty()) {
+      fitShadowCamera(keyLight, bounds, { margin: shadowFit.margin, mapSize: this.shadowMapSize() });
+    } else if (keyLight) {
+      setShadowMapSize(keyLight, this.shadowMapSize());
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Apply a quality tier: pixel ratio, shadow map size and type, transmission glass, post-processing
+   * The section gets a `qualitychange` event (detail: { tier, auto }).
+   * @param {string} name - Tier name (see QUALITY_TIERS)
+   * @param {boolean} auto - Whether the governor picked it from frame times
+   */
+  applyQuality(name, auto) {
+    const tier = QUALITY_TIERS[name];
+    const { renderer } = this;
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.maxPixelRatio()));
+    this.post?.setSize();
+    this.post?.setLevel(tier.postProcessing);
+
+    const shadowType = THREE[`${tier.shadowType}ShadowMap`];
+    if (renderer.shadowMap.type !== shadowType) {
+      renderer.shadowMap.type = shadowType;
+      // Shader programs only pick up the new shadow filter when their materials recompile
+      this.scene.traverse((node) => {
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.filter(Boolean).forEach((material) => {
+          material.needsUpdate = true;
+        });
+      });
+    }
+    this.fitGround();
+    this.applyTransmission();
+
+    this.section.dispatchEvent(new CustomEvent('qualitychange', { detail: { tier: name, auto } }));
+    this.invalidate();
+  }
+
+  /**
+   * Transmission glass, or simple transparency when the quality tier turns transmission off
+   */
+  applyTransmission() {
+    if (this.model && this.quality) {
+      setTransmissionFallback(this.model, !QUALITY_TIERS[this.quality.getTier()].transmission);
+    }
+  }
+
+  /**
+   * Pixel ratio cap: the quality tier's, within renderer.maxPixelRatio
+   */
+  maxPixelRatio() {
+    const tier = QUALITY_TIERS[this.quality?.getTier() ?? 'high'];
+    return Math.min(tier.maxPixelRatio, this.manifest.renderer.maxPixelRatio);
+  }
+
+  /**
+   * Key light shadow map size: the quality tier's, within lighting.studio.shadowMapSize and the GPU's limit
+   */
+  shadowMapSize() {
+    const tier = QUALITY_TIERS[this.quality?.getTier() ?? 'high'];
+    return Math.min(tier.shadowMapSize, this.manifest.lighting.studio.shadowMapSize, this.renderer.capabilities.maxTextureSize);
+  }
+
+  /**
+   * Hold a quality tier, or hand the choice back to measured frame times
+   * @param {string} name - 'auto', 'high', 'medium' or 'low'
+   */
+  setQuality(name) {
+    this.quality?.setTier(name);
+  }
+
+  /**
+   * Current quality tier and whether the governor is choosing it
+   * @returns {{ tier: string, auto: boolean }|null}
+   */
+  getQuality() {
+    return this.quality ? { tier: this.quality.getTier(), auto: this.quality.isAuto() } : null;
+  }
+
+  /**
+   * Ground on / off (G)
+   */
+  toggleGround(show = !this.ground?.group.visible) {
+    if (!this.ground) {
+      return;
+    }
+    this.ground.setVisible(show);
+    console.log(`🟫 Ground ${show ? 'ON' : 'OFF'}`);
+    this.invalidate();
+  }
+
+  /**
+   * Switch the lighting preset, crossfading environment, lights, exposure and background
+   * Keyframes with a `lighting` field switch it again as the timeline reaches them.
+   * @param {string} name - Preset name (built-in or from the manifest's lighting.presets)
+   * @param {Object} opts - { duration (seconds; defaults to lighting.transition) }
+   * @returns {Promise<void>} Resolves once the preset is fully shown
+   */
+  setLighting(name, opts) {
+    return this.lighting ? this.lighting.setPreset(name, opts) : Promise.resolve();
+  }
+
+  getLighting() {
+    return this.lighting ? this.lighting.getPreset() : null;
+  }
+
+  /**
+   * Rotate the environment map about Y
+   * @param {number} radians - Rotation (the next preset switch resets it to that preset's rotationY)
+   * @param {Object} opts - { duration (seconds, default 0) }
+   */
+  setEnvironmentRotation(radians, opts) {
+    return this.lighting ? this.lighting.setRotation(radians, opts) : Promise.resolve();
+  }
+
+  /**
+   * Change post-processing params, e.g. setPostProcessing({ bloom: { strength: 0.8 }, dof: { aperture: 0.004 } })
+   * Keyframes that set the same param still win at their progress.
+   * @param {Object} values - Partial { ao, bloom, vignette, dof } (see POST_KEYFRAME_FIELDS)
+   */
+  setPostProcessing(values) {
+    if (!this.post) {
+      console.warn('⚠️ Post-processing is off for this scene (postProcessing.enabled)');
+      return;
+    }
+    this.post.setParams(values, this.getProgress());
+    this.invalidate();
+  }
+
+  getPostProcessing() {
+    return this.post ? this.post.getParams() : null;
+  }
+
+  /**
+   * Camera path debug view (C)
+   */
+  togglePathHelper(show = !this.pathHelper) {
+    if (this.pathHelper) {
+      this.scene.remove(this.pathHelper);
+      disposeObject(this.pathHelper);
+      this.pathHelper = null;
+    }
+    if (show && this.keyframes.length > 0) {
+      this.pathHelper = createPathHelper(sampleCameraPath(this.keyframes, this.timelineOptions), this.keyframes, this.guard);
+      this.scene.add(this.pathHelper);
+    }
+    console.log(`🛤️  Camera path ${this.pathHelper ? 'SHOWN' : 'HIDDEN'}`);
+    this.invalidate();
+  }
+
+  /**
+   * Request a render (no-op in continuous mode, which draws every visible frame anyway)
+   */
+  invalidate() {
+    this.loop?.invalidate();
+  }
+
+  /**
+   * Whether the section currently spans the middle of the viewport
+   */
+  isInView() {
+    const rect = this.section.getBoundingClientRect();
+    const middle = window.innerHeight / 2;
+    return rect.top <= middle && rect.bottom >= middle;
+  }
+
+  /**
+   * Report a loading step (shown in the debug panel during development)
+   */
+  setStatus(message) {
+    this.status = message;
+    this.debug?.setStatus(message);
+  }
+
+  killTimeline() {
+    this.timeline?.scrollTrigger?.kill(true);
+    this.timeline?.kill();
+    this.timeline = null;
+  }
+
+  /**
+   * Tear the viewer down: timeline, listeners, DOM overlays, GPU resources and the WebGL context
+   * Safe to call while init() is still loading; late assets are disposed as they arrive.
+   */
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    this.destroyed = true;
+
+    this.flight?.kill();
+    this.killTimeline();
+    this.teardowns.forEach((teardown) => teardown());
+    this.teardowns = [];
+
+    if (this.clipController) {
+      this.clipController.mixer.stopAllAction();
+      this.clipController.mixer.uncacheRoot(this.model);
+    }
+    this.controls?.dispose();
+    this.disposeScene();
+
+    if (this.renderer) {
+      this.renderer.dispose();
+      this.renderer.forceContextLoss();
+    }
+    console.log(`🧹 Viewer destroyed${this.manifest ? `: ${this.manifest.name}` : ''}`);
+  }
+
+  /**
+   * Dispose everything currently in the scene, plus loader-cached materials the scene no longer references
+   */
+  disposeScene() {
+    if (!this.scene) {
+      return;
+    }
+    // Restore originals first so rule overrides and originals are both released
+    this.materialOverrides?.revert();
+    this.materialOverrides = null;
+
+    this.lighting?.dispose();
+    this.lighting = null;
+
+    disposeObject(this.scene);
+    this.scene.clear();
+    this.scene.environment = null;
+    this.scene.background = null;
+
+    // Variant materials and textures that aren't currently assigned
+    this.parser?.associations.forEach((_, object) => {
+      if (object.isMaterial || object.isTexture || object.isBufferGeometry) {
+        object.dispose();
+      }
+    });
+    this.parser = null;
+  }
+}
+
+/**
+ * Read a fixed timeline progress from ?progress= (null when absent or out of range)
+ */
+function readProgressParam() {
+  const value = new URLSearchParams(window.location.search).get('progress');
+  if (value === null) {
+    return null;
+  }
+  const progress = Number(value);
+  if (value === '' || !Number.isFinite(progress) || progress < 0 || progress > 1) {
+    console.warn(`⚠️ Ignoring ?progress=${value} (expected a number from 0 to 1)`);
+    return null;
+  }
+  return progress;
+}
+
+/**
+ * Dispose geometries, materials and their textures below an object
+ */
+function disposeObject(root) {
+  root.traverse((node) => {
+    node.geometry?.dispose();
+    const materials = Array.isArray(node.material) ? node.material : [node.material];
+    materials.filter(Boolean).forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value?.isTexture) {
+          value.dispose();
+        }
+      });
+      material.dispose();
+    });
+  });
+}
@@ -0,0 +1,266 @@
+/**
+ * Image-sequence fallback for browsers that can't (or shouldn't) run the WebGL scene
+ *
+ * scripts/export-sequence.mjs renders the scroll timeline to N frames plus a
+ * sequence.json ({ frames, width, height, format, files }). When WebGL is
+ * missing, only available in software (hardware acceleration off) or the
+ * device looks low-power, the viewer scrubs those frames on a 2D canvas with
+ * the same ScrollTrigger pin instead.
+ *
+ * ?renderer=sequence forces the fallback; ?renderer=webgl skips the checks.
+ */
+
+/**
+ * Decide whether to use the image sequence instead of WebGL
+ * @param {Object} opts - { lowPower (also fall back on software GL, Save-Data or ≤2 cores + ≤2 GB) }
+ * @returns {string|null} Reason for the fallback, or null to use WebGL
+ */
+export function getFallbackReason(opts = {}) {
+  const { lowPower = true } = opts;
+  const requested = new URLSearchParams(window.location.search).get('renderer');
+  if (requested === 'sequence') {
+    return 'requested with ?renderer=sequence';
+  }
+  if (requested === 'webgl') {
+    return null;
+  }
+
+  const probe = probeWebGL();
+  if (!probe.supported) {
+    return 'WebGL unavailable';
+  }
+  if (!lowPower) {
+    return null;
+  }
+  if (probe.software) {
+    return `software WebGL (${probe.renderer || 'major performance caveat'})`;
+  }
+  if (navigator.connection?.saveData) {
+    return 'Save-Data requested';
+  }
+  if ((navigator.hardwareConcurrency || 8) <= 2 && (navigator.deviceMemory || 8) <= 2) {
+    return 'low-power device';
+  }
+  return null;
+}
+
+/**
+ * Create a 2D-canvas player for an exported sequence, laid over (and replacing) the WebGL canvas
+ * @param {HTMLCanvasElement} canvas - WebGL canvas to hide
+ * @param {string} url - Directory holding sequence.json and the frames
+ * @param {Object} opts - { maxPixelRatio (default 2) }
+ * @returns {{ canvas: HTMLCanvasElement, ready: Promise, draw: Function, bindToTimeline: Function, whenDrawn: Function, dispose: Function }}
+ */
+export function createSequencePlayer(canvas, url, opts = {}) {
+  const { maxPixelRatio = 2 } = opts;
+  const base = url.endsWith('/') ? url : `${url}/`;
+  const controller = new AbortController();
+
+  const player = document.createElement('canvas');
+  player.className = `${canvas.className} hero-3d__canvas--sequence`;
+  canvas.hidden = true;
+  canvas.after(player);
+  const ctx = player.getContext('2d');
+
+  let files = [];
+  let images = [];
+  let current = 0;
+  let drawn = -1;
+  const failed = new Set();
+  const waiters = [];
+
+  /**
+   * Settle everything waiting on the requested frame (rejected when it failed to load)
+   */
+  const settle = (error = null) => {
+    waiters.splice(0).forEach(({ resolve, reject }) => (error ? reject(error) : resolve()));
+  };
+
+  /**
+   * Paint the requested frame, or the nearest one loaded so far
+   */
+  const paint = () => {
+    if (failed.has(current)) {
+      settle(new Error(`${base}${files[current]} failed to load`));
+    }
+    const index = nearestLoaded(images, current);
+    if (index === -1 || index === drawn) {
+      return;
+    }
+    drawCover(ctx, images[index], player.width, player.height);
+    drawn = index;
+    if (index === current) {
+      settle();
+    }
+  };
+
+  /**
+   * Show the frame for a timeline progress (0 → 1)
+   */
+  const draw = (progress = 0) => {
+    current = files.length > 1 ? Math.round(progress * (files.length - 1)) : 0;
+    paint();
+  };
+
+  /**
+   * Load one frame (false when it failed: nearby frames stand in while scrubbing, but waiters on it reject)
+   */
+  const loadFrame = async (index) => {
+    const image = new Image();
+    image.src = `${base}${files[index]}`;
+    try {
+      await image.decode();
+    } catch (error) {
+      console.warn(`⚠️ Sequence frame ${files[index]} failed to load`);
+      failed.add(index);
+      paint();
+      return false;
+    }
+    if (!controller.signal.aborted) {
+      images[index] = image;
+      paint();
+    }
+    return true;
+  };
+
+  // First frame before anything else, then the rest coarse-to-fine so fast scrubbing shows something close
+  const ready = (async () => {
+    const response = await fetch(`${base}sequence.json`, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`${base}sequence.json: HTTP ${response.status} (export it with npm run export-sequence)`);
+    }
+    const info = await response.json();
+    if (!Array.isArray(info.files) || info.files.length === 0) {
+      throw new Error(`${base}sequence.json lists no frames`);
+    }
+    files = info.files;
+    images = files.map(() => null);
+    if (!(await loadFrame(0))) {
+      throw new Error(`${base}${files[0]}: the first frame failed to load`);
+    }
+    console.log(`🎞️  Image sequence: ${files.length} frames (${info.width}×${info.height} ${info.format})`);
+
+    const rest = loadOrder(files.length).slice(1);
+    (async () => {
+      for (const index of rest) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        await loadFrame(index);
+      }
+    })();
+  })();
+
+  /**
+   * Drive the player from a scroll timeline (call again for every rebuilt timeline)
+   */
+  const bindToTimeline = (tl) => {
+    tl.fromTo({ t: 0 }, { t: 0 }, {
+      t: 1,
+      duration: 1,
+      ease: 'none',
+      immediateRender: false,
+      onUpdate: function () {
+        draw(this.targets()[0].t);
+      }
+    }, 0);
+    draw(tl.progress());
+  };
+
+  /**
+   * Resolve once the requested frame itself (not a nearby stand-in) is on the canvas
+   * Rejects if that frame failed to load.
+   */
+  const whenDrawn = () => new Promise((resolve, reject) => {
+    if (drawn !== -1 && drawn === current) {
+      resolve();
+    } else if (failed.has(current)) {
+      reject(new Error(`${base}${files[current]} failed to load`));
+    } else {
+      waiters.push({ resolve, reject });
+    }
+  });
+
+  const resize = () => {
+    const ratio = Math.min(window.devicePixelRatio || 1, maxPixelRatio);
+    player.width = Math.round(player.clientWidth * ratio);
+    player.height = Math.round(player.clientHeight * ratio);
+    drawn = -1;
+    paint();
+  };
+  const observer = new ResizeObserver(resize);
+  observer.observe(player);
+
+  const dispose = () => {
+    controller.abort();
+    observer.disconnect();
+    player.remove();
+    canvas.hidden = false;
+  };
+
+  return { canvas: player, ready, draw, bindToTimeline, whenDrawn, dispose };
+}
+
+/**
+ * Try a WebGL context on a throwaway canvas
+ * failIfMajorPerformanceCaveat refuses software rendering (e.g. hardware acceleration turned off).
+ */
+function probeWebGL() {
+  const canvas = document.createElement('canvas');
+  const fast = canvas.getContext('webgl', { failIfMajorPerformanceCaveat: true });
+  const gl = fast || document.createElement('canvas').getContext('webgl');
+  if (!gl) {
+    return { supported: false };
+  }
+  const info = gl.getExtension('WEBGL_debug_renderer_info');
+  const renderer = info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : '';
+  gl.getExtension('WEBGL_lose_context')?.loseContext();
+  return {
+    supported: true,
+    renderer,
+    software: !fast || /swiftshader|llvmpipe|softpipe|software|basic render/i.test(renderer),
+  };
+}
+
+/**
+ * Frame indices from coarse to fine: 0, last, then halving steps
+ */
+function loadOrder(count) {
+  const order = [0];
+  const seen = new Set(order);
+  const add = (index) => {
+    if (!seen.has(index)) {
+      seen.add(index);
+      order.push(index);
+    }
+  };
+  add(count - 1);
+  for (let step = 2 ** Math.floor(Math.log2(Math.max(count - 1, 1))); step >= 1; step /= 2) {
+    for (let i = 0; i < count; i += step) {
+      add(i);
+    }
+  }
+  return order.filter((index) => index >= 0);
+}
+
+function nearestLoaded(images, index) {
+  for (let offset = 0; offset < images.length; offset++) {
+    if (images[index - offset]) {
+      return index - offset;
+    }
+    if (images[index + offset]) {
+      return index + offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Draw an image to fill the canvas, cropping like object-fit: cover
+ */
+function drawCover(ctx, image, width, height) {
+  const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+  const w = image.naturalWidth * scale;
+  const h = image.naturalHeight * scale;
+  ctx.drawImage(image, (width - w) / 2, (height - h) / 2, w, h);
+}
@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+/**
+ * Visitor orbit on top of the scroll camera
+ *
+ * Dragging the canvas orbits around the timeline's current target, and
+ * pinching (or ctrl + wheel, a trackpad pinch) dollies in and out. The drag is
+ * an offset from the timeline's pose, not a camera of its own: withView()
+ * applies it only while a frame is drawn and puts the timeline's pose back
+ * afterwards. The scroll timeline stays the only writer of the rig, the
+ * camera and the target, so its progress can never drift from the pose on
+ * screen. Scrolling during a drag keeps moving the pose underneath it.
+ *
+ * Like model-viewer's interaction lockout in the original demo (TECH_NOTES),
+ * control returns to the scroll: the offset eases back to zero `returnDelay`
+ * seconds after release, or at once when the page scrolls again. Scrub
+ * smoothing settling after a scroll doesn't count (see onTimelineUpdate).
+ *
+ * Off by default: scenes opt in with `orbit.enabled`.
+ *
+ * Touch drags orbit horizontally only (`touch-action: pan-y`), so vertical
+ * swipes still scroll the page.
+ */
+
+export const ORBIT_DEFAULTS = {
+  enabled: false,
+  minPolarAngle: 0.2, // Radians from straight above
+  maxPolarAngle: 1.5, // Just above the horizon
+  minDistance: 0.75, // × the pose's camera-to-target distance
+  maxDistance: 1.5,
+  rotateSpeed: 1,
+  returnDelay: 1, // Seconds after release
+  returnDuration: 0.8,
+};
+
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _spherical = new THREE.Spherical();
+
+/**
+ * Create the visitor orbit for a viewer's canvas
+ * @param {THREE.PerspectiveCamera} camera - Scroll camera (child of the rig)
+ * @param {Object} targetProxy - Look-at target {x,y,z} the timeline writes
+ * @param {HTMLElement} element - Element receiving drags (the canvas)
+ * @param {Object} opts - { minPolarAngle, maxPolarAngle (radians, absolute), minDistance, maxDistance (× the pose's distance), rotateSpeed, returnDelay, returnDuration (seconds; 0 snaps back), isEnabled() (false while something else drives the camera), getScrollProgress() (the page's scroll position, 0 → 1, before smoothing), onChange() (request a render) }
+ * @returns {{ withView: Function, release: Function, onTimelineUpdate: Function, isActive: Function, dispose: Function }}
+ */
+export function createUserOrbit(camera, targetProxy, element, opts = {}) {
+  const {
+    minPolarAngle = ORBIT_DEFAULTS.minPolarAngle,
+    maxPolarAngle = ORBIT_DEFAULTS.maxPolarAngle,
+    minDistance = ORBIT_DEFAULTS.minDistance,
+    maxDistance = ORBIT_DEFAULTS.maxDistance,
+    rotateSpeed = ORBIT_DEFAULTS.rotateSpeed,
+    returnDelay = ORBIT_DEFAULTS.returnDelay,
+    returnDuration = ORBIT_DEFAULTS.returnDuration,
+    isEnabled = () => true,
+    getScrollProgress = () => 0,
+    onChange = () => {},
+  } = opts;
+
+  // Offset from the timeline's pose: azimuth, polar angle, distance factor
+  const offset = { theta: 0, phi: 0, zoom: 1 };
+  // The last pose drawn, for limiting the offset while dragging
+  let basePhi = Math.PI / 2;
+  const pointers = new Map();
+  let pinchDistance = 0;
+  let returnTween = null;
+  let returnCall = null;
+  // Scroll position when the visitor last moved the view
+  let scrollProgress = null;
+
+  const savedPosition = new THREE.Vector3();
+  const savedQuaternion = new THREE.Quaternion();
+
+  const isActive = () => pointers.size > 0 || offset.theta !== 0 || offset.phi !== 0 || offset.zoom !== 1;
+
+  /**
+   * Keep the polar angle inside the limits, or at least no further out than the pose itself
+   */
+  const clampOffset = () => {
+    const low = Math.min(minPolarAngle, basePhi);
+    const high = Math.max(maxPolarAngle, basePhi);
+    offset.phi = THREE.MathUtils.clamp(basePhi + offset.phi, low, high) - basePhi;
+    offset.zoom = THREE.MathUtils.clamp(offset.zoom, minDistance, maxDistance);
+  };
+
+  /**
+   * Move the camera to the timeline's pose plus the offset (false when there's no offset)
+   */
+  const apply = () => {
+    camera.updateWorldMatrix(true, false);
+    camera.getWorldPosition(_position);
+    _target.set(targetProxy.x, targetProxy.y, targetProxy.z);
+    _spherical.setFromVector3(_position.sub(_target));
+    basePhi = _spherical.phi;
+    if (!isActive()) {
+      return false;
+    }
+    clampOffset();
+
+    savedPosition.copy(camera.position);
+    savedQuaternion.copy(camera.quaternion);
+    _spherical.theta += offset.theta;
+    _spherical.phi += offset.phi;
+    _spherical.radius *= offset.zoom;
+    _spherical.makeSafe();
+    _position.setFromSpherical(_spherical).add(_target);
+    camera.position.copy(camera.parent ? camera.parent.worldToLocal(_position) : _position);
+    camera.lookAt(_target);
+    camera.updateMatrixWorld();
+    return true;
+  };
+
+  const restore = () => {
+    camera.position.copy(savedPosition);
+    camera.quaternion.copy(savedQuaternion);
+    camera.updateMatrixWorld();
+  };
+
+  /**
+   * Run a callback (drawing the frame, projecting hotspots) with the visitor's view in place
+   * @param {Function} callback - Reads the camera
+   */
+  const withView = (callback) => {
+    const applied = isEnabled() && apply();
+    try {
+      callback();
+    } finally {
+      if (applied) {
+        restore();
+      }
+    }
+  };
+
+  const cancelReturn = () => {
+    returnTween?.kill();
+    returnCall?.kill();
+    returnTween = null;
+    returnCall = null;
+  };
+
+  /**
+   * Ease the offset back to zero, so the camera lands on the timeline's current pose
+   */
+  const release = () => {
+    if (pointers.size > 0 || returnTween || !isActive()) {
+      return;
+    }
+    cancelReturn();
+    // Take the short way round
+    offset.theta = Math.atan2(Math.sin(offset.theta), Math.cos(offset.theta));
+    returnTween = gsap.to(offset, {
+      theta: 0,
+      phi: 0,
+      zoom: 1,
+      duration: returnDuration,
+      ease: 'power2.inOut',
+      onUpdate: onChange,
+      onComplete: () => {
+        returnTween = null;
+        onChange();
+      },
+    });
+  };
+
+  /**
+   * The scroll timeline updated: release only if the page actually scrolled since the last drag
+   * (with scrub smoothing, updates keep arriving for a moment after the scroll stops)
+   */
+  const onTimelineUpdate = () => {
+    if (scrollProgress === null || Math.abs(getScrollProgress() - scrollProgress) > 1e-4) {
+      release();
+    }
+  };
+
+  const pinchSpan = () => {
+    const [a, b] = [...pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  const onPointerDown = (e) => {
+    if (!isEnabled() || (e.pointerType === 'mouse' && e.button !== 0)) {
+      return;
+    }
+    cancelReturn();
+    scrollProgress = getScrollProgress();
+    element.setPointerCapture?.(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size === 2) {
+      pinchDistance = pinchSpan();
+    }
+    element.style.cursor = 'grabbing';
+  };
+
+  const onPointerMove = (e) => {
+    const pointer = pointers.get(e.pointerId);
+    if (!pointer) {
+      return;
+    }
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (pointers.size === 2) {
+      const distance = pinchSpan();
+      if (pinchDistance > 0 && distance > 0) {
+        offset.zoom *= pinchDistance / distance;
+      }
+      pinchDistance = distance;
+    } else {
+      // Same feel as OrbitControls: a full-height drag turns 360°
+      const angle = (2 * Math.PI * rotateSpeed) / element.clientHeight;
+      offset.theta -= dx * angle;
+      if (e.pointerType === 'mouse' || e.pointerType === 'pen') {
+        offset.phi -= dy * angle;
+      }
+    }
+    clampOffset();
+    onChange();
+  };
+
+  const onPointerUp = (e) => {
+    if (!pointers.delete(e.pointerId)) {
+      return;
+    }
+    pinchDistance = pointers.size === 2 ? pinchSpan() : 0;
+    if (pointers.size > 0) {
+      return;
+    }
+    element.style.cursor = 'grab';
+    returnCall = gsap.delayedCall(returnDelay, release);
+  };
+
+  // ctrl + wheel is a trackpad pinch; a plain wheel keeps scrolling the page
+  const onWheel = (e) => {
+    if (!e.ctrlKey || !isEnabled()) {
+      return;
+    }
+    e.preventDefault();
+    cancelReturn();
+    scrollProgress = getScrollProgress();
+    offset.zoom *= Math.exp(e.deltaY * 0.01);
+    clampOffset();
+    onChange();
+    returnCall = gsap.delayedCall(returnDelay, release);
+  };
+
+  element.style.touchAction = 'pan-y';
+  element.style.cursor = 'grab';
+  element.addEventListener('pointerdown', onPointerDown);
+  element.addEventListener('pointermove', onPointerMove);
+  element.addEventListener('pointerup', onPointerUp);
+  element.addEventListener('pointercancel', onPointerUp);
+  element.addEventListener('wheel', onWheel, { passive: false });
+
+  const dispose = () => {
+    cancelReturn();
+    element.removeEventListener('pointerdown', onPointerDown);
+    element.removeEventListener('pointermove', onPointerMove);
+    element.removeEventListener('pointerup', onPointerUp);
+    element.removeEventListener('pointercancel', onPointerUp);
+    element.removeEventListener('wheel', onWheel);
+    element.style.touchAction = '';
+    element.style.cursor = '';
+  };
+
+  return { withView, release, onTimelineUpdate, isActive, dispose };
+}